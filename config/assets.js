@@ -0,0 +1,79 @@
+// Supported assets
+// Every list of assets (model validation, the wallet-type cards, payment-URI parsing, the
+// transaction QR's `crypto` field, address checks and transaction decoders) is built from these
+// entries by utils/assetRegistry.js: supporting another coin is one more entry here.
+//
+// Entry fields:
+//   symbol      ticker, stored as the wallet's `asset` and sent as the QR `crypto` field
+//   name        display name
+//   icon        glyph shown on the wallet-type card
+//   decimals    decimal places of one unit (amounts are decimal strings in this unit)
+//   curve       signing curve of the group key (address derivation and signature checks: secp256k1)
+//   uriSchemes  payment-URI schemes that mean this asset, e.g. "bitcoin:" (first = preferred)
+//   address     { format, networks, defaultNetwork }
+//               format: 'bitcoin' (base58check + bech32/bech32m), 'evm' (0x + EIP-55) or 'xrpl'
+//               networks: the networks a wallet can be created for, each with its `label` and
+//               address prefixes (bitcoin: bech32 HRP and base58 versions, in @scure/btc-signer's
+//               field names; xrpl: X-address prefix bytes) and the marker its transactions carry
+//               (evm: `chainId`; xrpl: `networkId`, absent from transactions when <= 1024)
+//               defaultNetwork: preselected for new wallets (BLOCKCHAIN_NETWORK overrides it
+//               for assets that have a network of that name)
+//   decoder     transaction decoder in utils/txDecoders (btc | eth | xrp)
+
+module.exports = [
+  {
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    icon: '₿',
+    decimals: 8,
+    curve: 'secp256k1',
+    uriSchemes: ['bitcoin'],
+    address: {
+      format: 'bitcoin',
+      defaultNetwork: 'mainnet',
+      // Signet shares testnet's prefixes
+      networks: {
+        mainnet: { label: 'Mainnet', bech32: 'bc', pubKeyHash: 0x00, scriptHash: 0x05, wif: 0x80 },
+        testnet: { label: 'Testnet', bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4, wif: 0xef },
+        signet: { label: 'Signet', bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4, wif: 0xef },
+        regtest: { label: 'Regtest', bech32: 'bcrt', pubKeyHash: 0x6f, scriptHash: 0xc4, wif: 0xef }
+      }
+    },
+    decoder: 'btc'
+  },
+  {
+    symbol: 'ETH',
+    name: 'Ethereum',
+    icon: 'Ξ',
+    decimals: 18,
+    curve: 'secp256k1',
+    uriSchemes: ['ethereum'],
+    address: {
+      format: 'evm',
+      defaultNetwork: 'mainnet',
+      networks: {
+        mainnet: { label: 'Mainnet', chainId: 1 },
+        sepolia: { label: 'Sepolia', chainId: 11155111 },
+        holesky: { label: 'Holesky', chainId: 17000 }
+      }
+    },
+    decoder: 'eth'
+  },
+  {
+    symbol: 'XRP',
+    name: 'XRP Ledger',
+    icon: '⊕',
+    decimals: 6,
+    curve: 'secp256k1',
+    uriSchemes: ['xrpl', 'ripple'],
+    address: {
+      format: 'xrpl',
+      defaultNetwork: 'mainnet',
+      networks: {
+        mainnet: { label: 'Mainnet', networkId: 0, xAddressPrefix: [0x05, 0x44] },
+        testnet: { label: 'Testnet', networkId: 1, xAddressPrefix: [0x04, 0x93] }
+      }
+    },
+    decoder: 'xrp'
+  }
+];
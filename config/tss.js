@@ -0,0 +1,29 @@
+// TSS orchestrator configuration
+// Resolved once at startup so the server and the rendered Cold Wallet view agree on the backend
+
+// Local helper address used before TSS_ORCHESTRATOR_API_URL was configurable
+const DEFAULT_ORCHESTRATOR_URL = 'https://localhost:44379';
+
+/**
+ * Normalize a base URL so endpoint paths can be appended with a leading slash
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeBaseUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+const orchestratorUrl = normalizeBaseUrl(process.env.TSS_ORCHESTRATOR_API_URL || DEFAULT_ORCHESTRATOR_URL);
+
+console.log(`TSS orchestrator: ${orchestratorUrl}`);
+
+module.exports = {
+  orchestratorUrl,
+  clientId: process.env.TSS_TOKEN_CLIENT_ID || null,
+  clientSecret: process.env.TSS_TOKEN_CLIENT_SECRET || null,
+  tokenUrl: process.env.TSS_TOKEN_URL || null,
+  helperUrl: process.env.TSS_HELPER_API_URL || null,
+  // Reject signatures from members without a recorded serial, or whose device serial is not
+  // reported, unless set to false (mismatches and unknown members are always rejected)
+  requireSignerSerial: process.env.TSS_REQUIRE_SIGNER_SERIAL !== 'false'
+};
@@ -0,0 +1,61 @@
+// TSS simulator configuration
+// Every knob can be set through the environment at startup and changed at runtime
+// through POST /__sim/behaviour (see doc/TSS_SIMULATOR.md)
+
+function list(value, fallback) {
+  if (!value) return fallback;
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function wrongPinSetting(value) {
+  if (value === 'always') return 'always';
+  return parseInt(value) || 0;
+}
+
+const config = {
+  // Orchestrator REST API (the standalone server's TSS_ORCHESTRATOR_API_URL)
+  httpPort: parseInt(process.env.MOCK_TSS_PORT) || 44379,
+  // One WebSocket per virtual card reader (WS_CARD_1..3) plus the key manager (WS_MANAGER)
+  cardPorts: list(process.env.MOCK_TSS_CARD_PORTS, ['8001', '8002', '8003']).map(Number),
+  managerPort: parseInt(process.env.MOCK_TSS_MANAGER_PORT) || 8000,
+  // Serial numbers of the virtual Toughkeys in the drawer (five, enough for a 3-of-5 party)
+  serials: list(process.env.MOCK_TSS_SERIALS, ['TK-SIM-0001', 'TK-SIM-0002', 'TK-SIM-0003', 'TK-SIM-0004', 'TK-SIM-0005'])
+};
+
+const behaviour = {
+  // PIN accepted by every virtual Toughkey
+  pin: process.env.MOCK_TSS_PIN || '1234',
+  // Number of upcoming PIN checks that fail regardless of the PIN, or 'always'
+  wrongPin: wrongPinSetting(process.env.MOCK_TSS_WRONG_PIN),
+  // Operations that never answer, as if the card was never tapped:
+  // authorize, save, activation, sign, checkpin, enroll
+  timeouts: list(process.env.MOCK_TSS_TIMEOUT, []),
+  // Serial reported by the tapped device: normal | wrong-serial | no-serial
+  device: process.env.MOCK_TSS_DEVICE || 'normal',
+  // Address reported by Activation/end: normal (derived from the group key) | foreign (another key's)
+  address: process.env.MOCK_TSS_ADDRESS || 'normal',
+  // Party/delete and Activation/cancel: normal | fail (the orchestrator refuses to discard)
+  discard: process.env.MOCK_TSS_DISCARD || 'normal',
+  // Simulated card tap delay
+  latencyMs: parseInt(process.env.MOCK_TSS_LATENCY_MS) || 300
+};
+
+/**
+ * Apply a partial behaviour update (runtime control endpoint)
+ * @param {Object} patch
+ * @returns {Object} the resulting behaviour
+ */
+function updateBehaviour(patch) {
+  if (patch.pin !== undefined) behaviour.pin = String(patch.pin);
+  if (patch.wrongPin !== undefined) behaviour.wrongPin = wrongPinSetting(String(patch.wrongPin));
+  if (patch.timeouts !== undefined) {
+    behaviour.timeouts = Array.isArray(patch.timeouts) ? patch.timeouts : list(String(patch.timeouts), []);
+  }
+  if (patch.device !== undefined) behaviour.device = String(patch.device);
+  if (patch.address !== undefined) behaviour.address = String(patch.address);
+  if (patch.discard !== undefined) behaviour.discard = String(patch.discard);
+  if (patch.latencyMs !== undefined) behaviour.latencyMs = parseInt(patch.latencyMs) || 0;
+  return behaviour;
+}
+
+module.exports = { config, behaviour, updateBehaviour };
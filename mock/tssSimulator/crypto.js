@@ -0,0 +1,102 @@
+const nodeCrypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { sha256 } = require('@noble/hashes/sha256');
+const { ripemd160 } = require('@noble/hashes/ripemd160');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } = require('@noble/hashes/utils');
+const { bech32, base58xrp } = require('@scure/base');
+
+// Same fixed key/IV the Cold Wallet UI uses in encryptUsingAES()
+const PIN_KEY = Buffer.from('4512631236589784', 'utf8');
+
+/**
+ * Decrypt a PIN encrypted by the Cold Wallet UI; plain PINs pass through (handy for WebSocket tests)
+ * @param {string} encrypted base64 AES-128-CBC ciphertext
+ * @returns {string}
+ */
+function decryptPin(encrypted) {
+  try {
+    const decipher = nodeCrypto.createDecipheriv('aes-128-cbc', PIN_KEY, PIN_KEY);
+    return Buffer.concat([decipher.update(Buffer.from(String(encrypted), 'base64')), decipher.final()]).toString('utf8');
+  } catch (_) {
+    return String(encrypted);
+  }
+}
+
+function hash160(bytes) {
+  return ripemd160(sha256(bytes));
+}
+
+function toChecksumAddress(hexAddress) {
+  const lower = hexAddress.toLowerCase();
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+  let out = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return out;
+}
+
+// Bech32 HRP of each Bitcoin network (other assets use the same address on every network)
+const BTC_HRP = { mainnet: 'bc', testnet: 'tb', signet: 'tb', regtest: 'bcrt' };
+
+/**
+ * Derive the party address for an asset from the compressed group public key
+ * @param {string} asset BTC | ETH | XRP
+ * @param {Uint8Array} publicKey compressed secp256k1 key
+ * @param {string} [network] party network (default mainnet)
+ * @returns {string}
+ */
+function deriveAddress(asset, publicKey, network = 'mainnet') {
+  switch (asset) {
+    case 'ETH': {
+      const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+      return toChecksumAddress(bytesToHex(keccak_256(uncompressed.slice(1)).slice(-20)));
+    }
+    case 'XRP': {
+      const payload = concatBytes(new Uint8Array([0x00]), hash160(publicKey));
+      const checksum = sha256(sha256(payload)).slice(0, 4);
+      return base58xrp.encode(concatBytes(payload, checksum));
+    }
+    case 'BTC':
+    default:
+      return bech32.encode(BTC_HRP[network] || BTC_HRP.mainnet, [0, ...bech32.toWords(hash160(publicKey))]);
+  }
+}
+
+/**
+ * Generate the group key a finished ceremony would produce
+ * @returns {{ privateKey: Uint8Array, publicKey: Uint8Array }}
+ */
+function generateGroupKey() {
+  const privateKey = secp256k1.utils.randomPrivateKey();
+  return { privateKey, publicKey: secp256k1.getPublicKey(privateKey, true) };
+}
+
+/**
+ * Normalize a message to a 32-byte digest: 32-byte hex is signed as-is, anything else is SHA-256'd
+ * @param {string} message
+ * @returns {Uint8Array}
+ */
+function messageDigest(message) {
+  const hex = String(message).replace(/^0x/i, '');
+  if (/^[0-9a-fA-F]{64}$/.test(hex)) return hexToBytes(hex);
+  return sha256(utf8ToBytes(String(message)));
+}
+
+/**
+ * ECDSA-sign a message with the group key
+ * @returns {{ signature: string, recoveryId: number }} compact r||s hex (low-S)
+ */
+function signMessage(privateKey, message) {
+  const sig = secp256k1.sign(messageDigest(message), privateKey);
+  return { signature: sig.toCompactHex(), recoveryId: sig.recovery };
+}
+
+module.exports = {
+  decryptPin,
+  deriveAddress,
+  generateGroupKey,
+  signMessage,
+  bytesToHex
+};
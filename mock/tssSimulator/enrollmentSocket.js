@@ -0,0 +1,113 @@
+const { WebSocketServer } = require('ws');
+const { generateGroupKey, signMessage } = require('./crypto');
+const { state } = require('./orchestrator');
+
+// Simulated card-reader WebSockets
+// Speaks the protocol EnrollmentClient (assets/js/tssparticipant.js) expects:
+//   { Method: 'Info_Enrollment' | 'Info_ManagerForEnroll' } -> { ParticipantsEnrolled }
+//   { Method: 'Enrollment', Name, PartyGUID, PIN }         -> { Message: 'SUCCESS.ENROLL' }
+//   CheckPIN (no Method): { PIN }                          -> { SerialNumber } | { Message: 'ERROR.WRONG_PIN' }
+//   Sign (no Method): { PartyGUID, MessageToSign, PIN }    -> { Message: 'SUCCESS.SIGNATURE_ADDED' | 'SUCCESS.SIGNATURE_ENDED' }
+
+const enrollments = new Map();   // partyGUID -> Set(participant name)
+const signatures = new Map();    // partyGUID|message -> Set(serial)
+const fallbackKeys = new Map();  // partyGUID -> group key for parties unknown to the REST side
+
+function messageOf(msg) {
+  return msg.MessageToSign || msg.messageToSign || msg.Hash || msg.hash || null;
+}
+
+function groupKeyFor(partyGUID) {
+  const party = state.parties.get(partyGUID);
+  if (party && party.privateKey) return { privateKey: party.privateKey, threshold: party.threshold };
+  if (!fallbackKeys.has(partyGUID)) fallbackKeys.set(partyGUID, generateGroupKey());
+  return { privateKey: fallbackKeys.get(partyGUID).privateKey, threshold: party ? party.threshold : 2 };
+}
+
+/**
+ * Handle one decoded client message
+ * @param {Object} msg
+ * @param {string|null} cardSerial serial of the card in this reader (null for the manager socket)
+ * @param {VirtualToughkeys} toughkeys
+ * @returns {Promise<Object|null>} reply body
+ */
+async function handleMessage(msg, cardSerial, toughkeys) {
+  const method = msg.Method;
+
+  if (method === 'Info_Enrollment' || method === 'Info_ManagerForEnroll') {
+    const enrolled = enrollments.get(msg.PartyGUID);
+    return { ParticipantsEnrolled: enrolled ? enrolled.size : 0, PartyGUID: msg.PartyGUID || null };
+  }
+
+  if (!cardSerial) {
+    return { Message: 'ERROR.NO_CARD_READER' };
+  }
+
+  if (method === 'Enrollment') {
+    await toughkeys.waitForTap('enroll');
+    if (!toughkeys.checkPin(msg.PIN)) return { Message: 'ERROR.WRONG_PIN' };
+
+    if (!enrollments.has(msg.PartyGUID)) enrollments.set(msg.PartyGUID, new Set());
+    enrollments.get(msg.PartyGUID).add(msg.Name);
+    const device = toughkeys.devices.find(d => d.serial === cardSerial);
+    if (device) device.shares.add(msg.PartyGUID);
+    return { Message: 'SUCCESS.ENROLL', Name: msg.Name };
+  }
+
+  const message = messageOf(msg);
+  if (message) {
+    await toughkeys.waitForTap('sign');
+    if (!toughkeys.checkPin(msg.PIN)) return { Message: 'ERROR.WRONG_PIN' };
+
+    const { serial } = toughkeys.tap({ expected: cardSerial });
+    const key = `${msg.PartyGUID}|${message}`;
+    if (!signatures.has(key)) signatures.set(key, new Set());
+    signatures.get(key).add(serial || cardSerial);
+
+    const { privateKey, threshold } = groupKeyFor(msg.PartyGUID);
+    if (signatures.get(key).size >= threshold) {
+      const { signature, recoveryId } = signMessage(privateKey, message);
+      return { Message: 'SUCCESS.SIGNATURE_ENDED', Signature: signature, RecoveryId: recoveryId, SerialNumber: serial };
+    }
+    return { Message: 'SUCCESS.SIGNATURE_ADDED', SerialNumber: serial };
+  }
+
+  if (msg.PIN !== undefined) {
+    await toughkeys.waitForTap('checkpin');
+    if (!toughkeys.checkPin(msg.PIN)) return { Message: 'ERROR.WRONG_PIN' };
+
+    const { serial } = toughkeys.tap({ expected: cardSerial });
+    return serial ? { SerialNumber: serial } : { Message: 'SUCCESS.PIN' };
+  }
+
+  return null;
+}
+
+/**
+ * Start one WebSocket server on `port` (path /ws)
+ * @param {number} port
+ * @param {string|null} cardSerial card inserted in this reader; null for the key manager
+ * @param {VirtualToughkeys} toughkeys
+ * @returns {WebSocketServer}
+ */
+function startEnrollmentSocket(port, cardSerial, toughkeys) {
+  const wss = new WebSocketServer({ port, path: '/ws' });
+
+  wss.on('connection', (ws) => {
+    ws.on('message', async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (_) {
+        return ws.send(JSON.stringify({ Message: 'ERROR.BAD_JSON' }));
+      }
+
+      const reply = await handleMessage(msg, cardSerial, toughkeys);
+      if (reply && ws.readyState === ws.OPEN) ws.send(JSON.stringify(reply));
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { startEnrollmentSocket };
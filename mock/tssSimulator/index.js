@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+const express = require('express');
+const { config, behaviour } = require('./config');
+const VirtualToughkeys = require('./toughkeys');
+const { createOrchestratorRouter } = require('./orchestrator');
+const { startEnrollmentSocket } = require('./enrollmentSocket');
+
+// Mock TSS orchestrator + Toughkey simulator for offline development
+// Point the standalone server at it with:
+//   TSS_ORCHESTRATOR_API_URL=http://localhost:44379
+//   WS_CARD_1=ws://localhost:8001/ws WS_CARD_2=ws://localhost:8002/ws WS_CARD_3=ws://localhost:8003/ws
+//   WS_MANAGER=ws://localhost:8000/ws
+
+const toughkeys = new VirtualToughkeys(config.serials);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  console.log(`[SIM] ${req.method} ${req.url}`);
+  next();
+});
+app.use(createOrchestratorRouter(toughkeys));
+app.use((req, res) => {
+  res.status(404).json({ isSuccess: false, message: `Simulator has no endpoint ${req.method} ${req.url}`, resultObject: null });
+});
+
+app.listen(config.httpPort, () => {
+  console.log(`✅ TSS simulator orchestrator on http://localhost:${config.httpPort}`);
+});
+
+config.cardPorts.forEach((port, i) => {
+  const serial = config.serials[i] || null;
+  startEnrollmentSocket(port, serial, toughkeys);
+  console.log(`   Card reader ${i + 1}: ws://localhost:${port}/ws (${serial || 'empty'})`);
+});
+startEnrollmentSocket(config.managerPort, null, toughkeys);
+console.log(`   Key manager: ws://localhost:${config.managerPort}/ws`);
+console.log(`   Toughkeys: ${config.serials.join(', ')} · PIN ${behaviour.pin}`);
+console.log(`   Behaviour: wrongPin=${behaviour.wrongPin} timeouts=[${behaviour.timeouts.join(',')}] device=${behaviour.device} address=${behaviour.address}`);
@@ -0,0 +1,281 @@
+const express = require('express');
+const crypto = require('crypto');
+const { behaviour, updateBehaviour } = require('./config');
+const { deriveAddress, generateGroupKey, signMessage, bytesToHex } = require('./crypto');
+
+// Simulated TSS orchestrator REST API
+// Implements the Party, Activation and Signature endpoints the Cold Wallet calls through /api/tss,
+// answering with the orchestrator's { isSuccess, message, resultObject } envelope.
+
+const state = {
+  parties: new Map(),   // partyId -> party
+  members: new Map(),   // memberId -> { party, member }
+  sessions: new Map()   // sessionId -> signing session
+};
+
+function ok(res, resultObject) {
+  res.json({ isSuccess: true, message: 'OK', resultObject });
+}
+
+function fail(res, status, message) {
+  res.status(status).json({ isSuccess: false, message, resultObject: null });
+}
+
+function wrongPin(res) {
+  // The real orchestrator answers 200 and reports the wrong PIN in the message
+  res.json({ isSuccess: false, message: 'ERROR.WRONG_PIN', resultObject: null });
+}
+
+function publicParty(party) {
+  return {
+    id: party.id,
+    partyGUID: party.id,
+    walletName: party.walletName,
+    assetCode: party.assetCode,
+    network: party.network,
+    size: party.size,
+    threshold: party.threshold,
+    status: party.status,
+    partyAddress: party.address,
+    publicKey: party.publicKey,
+    members: party.members.map(m => ({
+      id: m.id,
+      externalPartyMemberID: m.externalPartyMemberID,
+      name: m.name,
+      label: m.label,
+      level: m.level
+    }))
+  };
+}
+
+/**
+ * Build the orchestrator router
+ * @param {VirtualToughkeys} toughkeys
+ * @returns {express.Router}
+ */
+function createOrchestratorRouter(toughkeys) {
+  const router = express.Router();
+
+  // ---- Party ----
+
+  router.get('/api/Party', (req, res) => {
+    ok(res, Array.from(state.parties.values()).map(publicParty));
+  });
+
+  router.post('/api/Party/create', (req, res) => {
+    const { assets, network, size, threshold, walletName } = req.body || {};
+    if (!Array.isArray(assets) || assets.length === 0) return fail(res, 400, 'assets is required');
+    if (!Number.isInteger(size) || !Number.isInteger(threshold) || threshold < 1 || threshold > size) {
+      return fail(res, 400, 'invalid size/threshold');
+    }
+
+    const party = {
+      id: crypto.randomUUID(),
+      walletName: walletName || null,
+      assetCode: assets[0],
+      network: network || 'mainnet',
+      size,
+      threshold,
+      status: 'created',
+      members: [],
+      address: null,
+      publicKey: null,
+      privateKey: null
+    };
+    state.parties.set(party.id, party);
+    console.log(`[SIM] Party ${party.id} created (${party.assetCode} ${party.network} ${threshold}-of-${size})`);
+    ok(res, [party.id]);
+  });
+
+  router.post('/api/Party/addMembers', (req, res) => {
+    const { partyID, members } = req.body || {};
+    const party = state.parties.get(partyID);
+    if (!party) return fail(res, 404, `Party ${partyID} not found`);
+    if (!Array.isArray(members) || party.members.length + members.length > party.size) {
+      return fail(res, 400, `Party accepts ${party.size} members`);
+    }
+
+    const created = members.map(m => {
+      const member = {
+        id: crypto.randomUUID(),
+        externalPartyMemberID: m.externalPartyMemberID,
+        name: m.name,
+        label: m.label,
+        level: m.level || 0,
+        serial: null,
+        authorized: false,
+        shareSaved: false
+      };
+      party.members.push(member);
+      state.members.set(member.id, { party, member });
+      return { id: member.id, externalPartyMemberID: member.externalPartyMemberID, name: member.name, label: member.label, level: member.level };
+    });
+    ok(res, created);
+  });
+
+  router.post('/api/Party/authorize', async (req, res) => {
+    const { participantId, pin, SerialNumbersToExclude } = req.body || {};
+    const entry = state.members.get(participantId);
+    if (!entry) return fail(res, 404, `Participant ${participantId} not found`);
+
+    await toughkeys.waitForTap('authorize');
+    if (!toughkeys.checkPin(pin)) return wrongPin(res);
+
+    const { serial, device } = toughkeys.tap({ exclude: SerialNumbersToExclude || [] });
+    if (!device) return fail(res, 409, 'No eligible Toughkey presented');
+
+    entry.member.serial = device.serial;
+    entry.member.authorized = true;
+    console.log(`[SIM] ${entry.member.name} authorized on ${device.serial}`);
+    ok(res, serial ? { SerialNumber: serial } : { Message: 'SUCCESS.PIN' });
+  });
+
+  router.post('/api/Party/save', async (req, res) => {
+    const { partyId, participantId, pin, SerialNumbersToExclude } = req.body || {};
+    const entry = state.members.get(participantId);
+    if (!entry || entry.party.id !== partyId) return fail(res, 404, `Participant ${participantId} not in party ${partyId}`);
+    if (entry.party.status !== 'activating') return fail(res, 409, 'Activation not started');
+
+    await toughkeys.waitForTap('save');
+    if (!toughkeys.checkPin(pin)) return wrongPin(res);
+
+    const { serial, device } = toughkeys.tap({ exclude: SerialNumbersToExclude || [], expected: entry.member.serial });
+    if (!device || serial !== entry.member.serial) {
+      return fail(res, 409, `Share for ${entry.member.name} must be saved on ${entry.member.serial}`);
+    }
+
+    device.shares.add(partyId);
+    entry.member.shareSaved = true;
+    ok(res, true);
+  });
+
+  router.post('/api/Party/delete', (req, res) => {
+    if (behaviour.discard === 'fail') return fail(res, 500, 'Party could not be discarded');
+    const party = state.parties.get((req.body || {}).partyID);
+    if (!party) return fail(res, 404, 'Party not found');
+    if (party.status === 'active') return fail(res, 409, 'Active parties cannot be discarded');
+
+    party.members.forEach(m => state.members.delete(m.id));
+    toughkeys.devices.forEach(d => d.shares.delete(party.id));
+    state.parties.delete(party.id);
+    console.log(`[SIM] Party ${party.id} discarded`);
+    ok(res, true);
+  });
+
+  // ---- Activation ----
+
+  router.post('/api/Activation/start', async (req, res) => {
+    const party = state.parties.get((req.body || {}).partyID);
+    if (!party) return fail(res, 404, 'Party not found');
+    if (party.members.length !== party.size || party.members.some(m => !m.authorized)) {
+      return fail(res, 409, 'All members must be authorized before activation');
+    }
+
+    await toughkeys.waitForTap('activation');
+    party.status = 'activating';
+    ok(res, true);
+  });
+
+  router.post('/api/Activation/cancel', (req, res) => {
+    if (behaviour.discard === 'fail') return fail(res, 500, 'Activation could not be cancelled');
+    const party = state.parties.get((req.body || {}).partyID);
+    if (!party) return fail(res, 404, 'Party not found');
+    if (party.status !== 'activating') return fail(res, 409, 'No activation in progress');
+
+    party.status = 'created';
+    party.members.forEach(m => { m.shareSaved = false; });
+    toughkeys.devices.forEach(d => d.shares.delete(party.id));
+    console.log(`[SIM] Activation of party ${party.id} cancelled`);
+    ok(res, true);
+  });
+
+  router.post('/api/Activation/end', (req, res) => {
+    const party = state.parties.get((req.body || {}).partyID);
+    if (!party) return fail(res, 404, 'Party not found');
+    if (party.status !== 'activating' || party.members.some(m => !m.shareSaved)) {
+      return fail(res, 409, 'All shares must be saved before ending activation');
+    }
+
+    const { privateKey, publicKey } = generateGroupKey();
+    party.privateKey = privateKey;
+    party.publicKey = bytesToHex(publicKey);
+    // 'foreign' plays a compromised orchestrator that reports an address it holds the key to
+    party.address = deriveAddress(party.assetCode, behaviour.address === 'foreign' ? generateGroupKey().publicKey : publicKey, party.network);
+    party.status = 'active';
+    console.log(`[SIM] Party ${party.id} active at ${party.address}`);
+    ok(res, { partyID: party.id, address: party.address, publicKey: party.publicKey });
+  });
+
+  // ---- Signature ----
+
+  router.post('/api/Signature/create', (req, res) => {
+    const { partyGUID, messageToSign } = req.body || {};
+    const party = state.parties.get(partyGUID);
+    if (!party) return fail(res, 404, `Party ${partyGUID} not found`);
+    if (party.status !== 'active') return fail(res, 409, 'Party is not active');
+    if (!messageToSign) return fail(res, 400, 'messageToSign is required');
+
+    const session = { id: crypto.randomUUID(), party, message: messageToSign, signers: new Set(), result: null };
+    state.sessions.set(session.id, session);
+    ok(res, session.id);
+  });
+
+  router.post('/api/Signature/sign', async (req, res) => {
+    const { sessionID, partyMemberID, pin } = req.body || {};
+    const session = state.sessions.get(sessionID);
+    if (!session) return fail(res, 404, `Session ${sessionID} not found`);
+    const member = session.party.members.find(m => m.id === partyMemberID);
+    if (!member) return fail(res, 404, `Member ${partyMemberID} not in party`);
+    if (session.signers.has(member.id)) return fail(res, 409, `${member.name} already signed`);
+
+    await toughkeys.waitForTap('sign');
+    if (!toughkeys.checkPin(pin)) return wrongPin(res);
+
+    // Like the real helper, the simulator does not refuse a mismatched card: it reports what was tapped
+    const { serial, device } = toughkeys.tap({ expected: member.serial });
+    if (!device && behaviour.device === 'normal') return fail(res, 409, `${member.serial} not presented`);
+
+    session.signers.add(member.id);
+    if (session.signers.size >= session.party.threshold && !session.result) {
+      session.result = signMessage(session.party.privateKey, session.message);
+    }
+
+    ok(res, {
+      serialNumber: serial,
+      signaturesCollected: session.signers.size,
+      threshold: session.party.threshold,
+      signature: session.result ? session.result.signature : null,
+      recoveryId: session.result ? session.result.recoveryId : null
+    });
+  });
+
+  // ---- Simulator control (not part of the orchestrator API) ----
+
+  router.get('/__sim/state', (req, res) => {
+    res.json({
+      behaviour,
+      devices: toughkeys.list(),
+      parties: Array.from(state.parties.values()).map(p => ({
+        ...publicParty(p),
+        members: p.members.map(m => ({ id: m.id, name: m.name, serial: m.serial, authorized: m.authorized, shareSaved: m.shareSaved }))
+      })),
+      sessions: Array.from(state.sessions.values()).map(s => ({ id: s.id, partyId: s.party.id, signers: s.signers.size, signed: !!s.result }))
+    });
+  });
+
+  router.post('/__sim/behaviour', (req, res) => {
+    res.json(updateBehaviour(req.body || {}));
+  });
+
+  router.post('/__sim/reset', (req, res) => {
+    state.parties.clear();
+    state.members.clear();
+    state.sessions.clear();
+    toughkeys.devices.forEach(d => d.shares.clear());
+    res.json({ reset: true });
+  });
+
+  return router;
+}
+
+module.exports = { createOrchestratorRouter, state };
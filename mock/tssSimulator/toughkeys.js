@@ -0,0 +1,69 @@
+const { behaviour } = require('./config');
+const { decryptPin } = require('./crypto');
+
+// Serial reported when the "wrong device" behaviour has no other real device to pick
+const ROGUE_SERIAL = 'TK-SIM-ROGUE';
+
+/**
+ * VirtualToughkeys - The drawer of simulated Toughkeys and their PIN/tap behaviour
+ */
+class VirtualToughkeys {
+  constructor(serials) {
+    this.devices = serials.map(serial => ({ serial, shares: new Set() }));
+  }
+
+  /**
+   * Check a PIN against the configured behaviour
+   * @param {string} pin encrypted or plain PIN
+   * @returns {boolean}
+   */
+  checkPin(pin) {
+    if (behaviour.wrongPin === 'always') return false;
+    if (behaviour.wrongPin > 0) {
+      behaviour.wrongPin--;
+      return false;
+    }
+    return decryptPin(pin) === behaviour.pin;
+  }
+
+  /**
+   * Simulate the operator tapping a card
+   * @param {Object} opts
+   * @param {string[]} [opts.exclude] serials the reader must ignore
+   * @param {string} [opts.expected] serial of the card the member share lives on
+   * @returns {{ serial: string|null, device: Object|null }} serial is what the reader reports
+   */
+  tap({ exclude = [], expected = null } = {}) {
+    const candidates = this.devices.filter(d => !exclude.includes(d.serial));
+    let device = (expected && candidates.find(d => d.serial === expected)) || (expected ? null : candidates[0]) || null;
+
+    if (behaviour.device === 'wrong-serial' && expected) {
+      const other = candidates.find(d => d.serial !== expected);
+      return { serial: other ? other.serial : ROGUE_SERIAL, device: other || null };
+    }
+    if (behaviour.device === 'no-serial') {
+      return { serial: null, device };
+    }
+    return { serial: device ? device.serial : null, device };
+  }
+
+  /**
+   * Wait the simulated tap latency, or forever when the operation is configured to time out
+   * @param {string} operation
+   */
+  async waitForTap(operation) {
+    if (behaviour.timeouts.includes(operation)) {
+      console.log(`[SIM] ${operation}: simulating a card that is never tapped`);
+      await new Promise(() => {});
+    }
+    if (behaviour.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, behaviour.latencyMs));
+    }
+  }
+
+  list() {
+    return this.devices.map(d => ({ serial: d.serial, shares: Array.from(d.shares) }));
+  }
+}
+
+module.exports = VirtualToughkeys;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const assetRegistry = require('../utils/assetRegistry');
 // const File = require('./file');
 // const InitRecord = require('./initrecord');
 // const StartRecoveryRecord = require('./startrecoveryrecord');
@@ -32,7 +33,12 @@ const Address = sequelize.define('Address', {
     type: DataTypes.STRING(10),
     allowNull: false,
     defaultValue: 'BTC',                  
-    validate: { isIn: [['BTC','ETH','XRP']] }
+    validate: { isIn: [assetRegistry.symbols()] }
+  },
+  network: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'mainnet',
   },
   createdAt: {
     type: DataTypes.DATE,
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Journal of a wallet-creation ceremony, written by the /api/tss proxy as each step succeeds
+// so an interrupted ceremony can be resumed or aborted on the next launch.
+// PINs are never journaled.
+const Ceremony = sequelize.define('Ceremony', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+    allowNull: false,
+  },
+  partyGUID: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  walletName: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+  },
+  asset: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+  },
+  network: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'mainnet',
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'in_progress',
+    validate: { isIn: [['in_progress','completed','aborted']] }
+  },
+  // created -> enrolling (members added) -> saving (activation started) -> finalizing (all shares saved)
+  stage: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'created',
+    validate: { isIn: [['created','enrolling','saving','finalizing']] }
+  },
+  // [{ memberGUID, externalPartyMemberID, label, serialNumber, authorized, shareSaved }]
+  members: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  groupPublicKey: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+  },
+  // Why the ceremony was aborted or last paused, e.g. "Cancelled by operator"
+  statusReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+},
+{
+  tableName: 'Ceremonies',
+  timestamps: true
+});
+
+module.exports = Ceremony;
@@ -0,0 +1,19 @@
+const Address = require('./address');
+const Wallet = require('./wallet');
+const PartyMember = require('./partyMember');
+const Ceremony = require('./ceremony');
+const NetworkIncident = require('./networkIncident');
+
+// Associations
+// No database-level FK: sync({ alter: true }) rebuilds SQLite tables and would trip it.
+// Routes delete a wallet's members explicitly.
+Wallet.hasMany(PartyMember, { as: 'members', foreignKey: 'walletId', constraints: false });
+PartyMember.belongsTo(Wallet, { foreignKey: 'walletId', constraints: false });
+
+module.exports = {
+  Address,
+  Wallet,
+  PartyMember,
+  Ceremony,
+  NetworkIncident
+};
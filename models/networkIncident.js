@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Audit log of network-state transitions, written by utils/networkIncidentLog.js whenever the
+// detector sees a network appear, change or go away (also while the app is blocked).
+// Rows are never updated or deleted by the app.
+const NetworkIncident = sequelize.define('NetworkIncident', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+    allowNull: false,
+  },
+  // Detection timestamp
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // true: a network was detected (or changed); false: every network is gone
+  hasNetwork: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+  },
+  // Blocking interfaces: [{ name, address, family, scope, mac }]
+  interfaces: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  // Blocking radios and tethers: [{ name, kind, state, driver }]
+  radios: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  gateway: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Both gateway checks, e.g. "IPv4 default_route_active (eth0 via 10.0.0.1); IPv6 no_default_route"
+  gatewayReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // What the /api/tss proxy was running: { ceremonies: [partyGUID], sessions: [{ sessionID, partyGUID }], calls }
+  operations: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: { ceremonies: [], sessions: [], calls: 0 },
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+},
+{
+  tableName: 'NetworkIncidents',
+  timestamps: true
+});
+
+module.exports = NetworkIncident;
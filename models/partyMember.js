@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One share holder (Toughkey) of a wallet's TSS party
+const PartyMember = sequelize.define('PartyMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+    allowNull: false,
+  },
+  walletId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Member ID assigned by the orchestrator (used as partyMemberID when signing)
+  memberGUID: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  externalPartyMemberID: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Serial of the Toughkey that holds this member's share (reported at authorization)
+  serialNumber: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // 0-based order in the ceremony ("Toughkey 1" is position 0)
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+},
+{
+  tableName: 'PartyMembers',
+  timestamps: true
+});
+
+module.exports = PartyMember;
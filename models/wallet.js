@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const assetRegistry = require('../utils/assetRegistry');
+
+// A TSS party created by a finished wallet ceremony
+const Wallet = sequelize.define('Wallet', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+    allowNull: false,
+  },
+  partyGUID: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  walletName: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+  },
+  asset: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'BTC',
+    validate: { isIn: [assetRegistry.symbols()] }
+  },
+  // One of the asset's networks (config/assets.js), e.g. testnet; wallets saved before networks were recorded are mainnet
+  network: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'mainnet',
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Compressed secp256k1 group key (hex) the address is derived from; null for wallets saved before it was recorded
+  groupPublicKey: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    validate: { is: /^0[23][0-9a-f]{64}$/ }
+  },
+  // False for wallets saved before the group key was recorded: their address was never derived
+  // locally, so the UI refuses to sign with them and flags their address
+  addressVerified: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return !!this.getDataValue('groupPublicKey');
+    }
+  },
+  threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    validate: { min: 1 }
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+    validate: { min: 1 }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+},
+{
+  tableName: 'Wallets',
+  timestamps: true,
+  validate: {
+    thresholdWithinSize() {
+      if (this.threshold > this.size) {
+        throw new Error('threshold cannot exceed size');
+      }
+    },
+    networkOfAsset() {
+      if (!assetRegistry.network(this.asset, this.network)) {
+        throw new Error(`${this.asset} has no network ${this.network}`);
+      }
+    }
+  }
+});
+
+module.exports = Wallet;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { Ceremony } = require('../models');
+const ceremonyJournal = require('../utils/ceremonyJournal');
+const activeOperations = require('../utils/activeOperations');
+
+// Wallet-Creation Ceremony Journal Routes
+// The journal is written by the /api/tss proxy; these routes let the UI find an
+// interrupted ceremony on launch and resume or abort it.
+// Responses: { success: true, ceremony/ceremonies } or { success: false, error }
+
+const STATUSES = ['in_progress', 'completed', 'aborted'];
+
+// List ceremonies, newest first (?status=in_progress for interrupted ones)
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  try {
+    const ceremonies = await Ceremony.findAll({
+      where: status ? { status } : {},
+      order: [['createdAt', 'DESC']]
+    });
+    res.json({ success: true, ceremonies });
+  } catch (error) {
+    console.error('Error fetching ceremonies:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch ceremonies' });
+  }
+});
+
+// Get one ceremony by party GUID
+router.get('/:partyGUID', async (req, res) => {
+  try {
+    const ceremony = await Ceremony.findOne({ where: { partyGUID: req.params.partyGUID } });
+    if (!ceremony) {
+      return res.status(404).json({ success: false, error: 'Ceremony not found' });
+    }
+    res.json({ success: true, ceremony });
+  } catch (error) {
+    console.error('Error fetching ceremony:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch ceremony' });
+  }
+});
+
+// Cancel a running or interrupted ceremony: { reason? }
+// Only the journal entry is aborted: the UI first discards the party through POST /api/tss/party/discard
+router.post('/:partyGUID/abort', async (req, res) => {
+  const reason = String((req.body && req.body.reason) || 'Aborted by operator').slice(0, 255);
+
+  try {
+    const pending = await ceremonyJournal.findInProgress(req.params.partyGUID);
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'No ceremony in progress for this party' });
+    }
+
+    const ceremony = await ceremonyJournal.abort(req.params.partyGUID, reason);
+    activeOperations.ceremonyEnded(req.params.partyGUID);
+    if (!ceremony) {
+      return res.status(404).json({ success: false, error: 'No ceremony in progress for this party' });
+    }
+    res.json({ success: true, ceremony });
+  } catch (error) {
+    if (error.dbBusy) {
+      return res.status(503).json({ success: false, error: 'Database temporarily unavailable', retries: error.retries });
+    }
+    console.error('POST /api/ceremonies/:partyGUID/abort failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to abort ceremony', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { NetworkIncident } = require('../models');
+const networkIncidentLog = require('../utils/networkIncidentLog');
+
+// Network Incident Routes (read-only)
+// The history utils/networkIncidentLog.js records; reachable while a network is up so the
+// incidents of a blocked session can be reviewed.
+// Responses: { success: true, incident(s) } or { success: false, error }
+
+const MAX_LIMIT = 500;
+
+// List incidents, newest first: ?state=&since=&until=&limit= (default 50, max 500)&offset=
+router.get('/', async (req, res) => {
+  const { filters, error } = networkIncidentLog.parseFilters(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  try {
+    const { rows, count } = await networkIncidentLog.list({ ...filters, limit, offset });
+    res.json({ success: true, incidents: rows, total: count, limit, offset });
+  } catch (err) {
+    console.error('Error fetching network incidents:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch network incidents' });
+  }
+});
+
+// Download every matching incident: ?format=json|csv (default json), same filters as the list
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be json or csv' });
+  }
+  const { filters, error } = networkIncidentLog.parseFilters(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const { rows } = await networkIncidentLog.list(filters);
+    const exportedAt = new Date().toISOString();
+    res.attachment(`network-incidents-${exportedAt.slice(0, 10)}.${format}`);
+    if (format === 'csv') return res.type('text/csv').send(networkIncidentLog.toCsv(rows));
+    res.json({ exportedAt, filters: { state: req.query.state || null, since: req.query.since || null, until: req.query.until || null }, incidents: rows });
+  } catch (err) {
+    console.error('Error exporting network incidents:', err);
+    res.status(500).json({ success: false, error: 'Failed to export network incidents' });
+  }
+});
+
+// Get one incident
+router.get('/:id', async (req, res) => {
+  try {
+    const incident = await NetworkIncident.findByPk(parseInt(req.params.id) || 0);
+    if (!incident) {
+      return res.status(404).json({ success: false, error: 'Incident not found' });
+    }
+    res.json({ success: true, incident });
+  } catch (err) {
+    console.error('Error fetching network incident:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch network incident' });
+  }
+});
+
+module.exports = router;
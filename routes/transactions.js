@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { Wallet } = require('../models');
+const transactionReview = require('../utils/transactionReview');
+const reviewedMessages = require('../utils/reviewedMessages');
+const { TransactionDecodeError } = transactionReview;
+
+// Transaction Review Routes
+// Decode a scanned transaction QR so the operator sees what is signed, and refuse it when
+// its messagesToSign are not the sighashes of that transaction or it is for another network than
+// the wallet's. BTC PSBTs are imported and
+// finalized here, and threshold signatures are verified before they are shown.
+// The sighashes a review or PSBT import approves for a stored wallet are recorded
+// (utils/reviewedMessages.js): the /api/tss proxy opens signing sessions for those only.
+// Responses: { success: true, transaction } or { success: false, error, code, details? }
+
+function sendError(res, error, label) {
+  if (error instanceof TransactionDecodeError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  console.error(`${label} failed:`, error);
+  res.status(500).json({ success: false, error: 'Failed to process transaction', details: error.message });
+}
+
+/**
+ * The stored wallet a request signs for. Its asset, network, address and group key are the only ones
+ * used: a request cannot name its own. A wallet saved before group keys were recorded is refused:
+ * its address was never derived locally, so nothing it signs can be checked against its key.
+ * @param {string} partyGUID
+ * @returns {Promise<Wallet>}
+ * @throws {TransactionDecodeError} UNKNOWN_WALLET (404), WALLET_UNVERIFIED (409)
+ */
+async function walletFor(partyGUID) {
+  const wallet = partyGUID ? await Wallet.findOne({ where: { partyGUID: String(partyGUID) } }) : null;
+  if (!wallet) {
+    throw new TransactionDecodeError(
+      partyGUID ? `No wallet is stored for party ${partyGUID}: save the wallet before signing with it` : 'partyGUID is required',
+      { code: 'UNKNOWN_WALLET', status: 404 }
+    );
+  }
+  if (!wallet.addressVerified) {
+    throw new TransactionDecodeError(
+      `Wallet ${wallet.address} has no recorded group public key: its address is unverified, so it cannot sign`,
+      { code: 'WALLET_UNVERIFIED', status: 409 }
+    );
+  }
+  return wallet;
+}
+
+// Review a transaction before signing:
+// { partyGUID, rawTxBytes, messagesToSign: [hash, ...], prevouts?, declared?: { network, chainId } }
+// `declared` is what the transaction QR states about its network; the stored wallet's asset,
+// network and address are what it is checked against
+router.post('/review', async (req, res) => {
+  const { partyGUID, rawTxBytes, messagesToSign, prevouts, declared } = req.body || {};
+
+  if (!rawTxBytes || !Array.isArray(messagesToSign) || messagesToSign.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'rawTxBytes and messagesToSign are required',
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  try {
+    const wallet = await walletFor(partyGUID);
+    const transaction = transactionReview.review(wallet.asset, {
+      rawTxBytes,
+      messagesToSign,
+      prevouts,
+      declared,
+      address: wallet.address,
+      network: wallet.network
+    });
+    reviewedMessages.approve(wallet.partyGUID, transaction.sighashes);
+    res.json({ success: true, transaction });
+  } catch (error) {
+    sendError(res, error, 'POST /api/transactions/review');
+  }
+});
+
+// Import a BTC PSBT (BIP-174): { partyGUID, psbt (base64 or hex) }
+// The server derives the sighashes to sign from the PSBT itself: { transaction, messagesToSign }
+router.post('/psbt', async (req, res) => {
+  const { partyGUID, psbt } = req.body || {};
+  if (!psbt) {
+    return res.status(400).json({ success: false, error: 'psbt is required', code: 'VALIDATION_ERROR' });
+  }
+
+  try {
+    const wallet = await walletFor(partyGUID);
+    const result = transactionReview.inspectPsbt(wallet.asset, psbt, wallet.address, wallet.network);
+    reviewedMessages.approve(wallet.partyGUID, result.messagesToSign);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'POST /api/transactions/psbt');
+  }
+});
+
+// Finalize a signed PSBT: { partyGUID, psbt, signatures: [{ signature, recoveryId }] } in input order
+// -> { psbt (finalized, base64), rawTransaction (hex, ready to broadcast), txid }
+// The signatures must verify under the wallet's group key, as for /verify
+router.post('/psbt/finalize', async (req, res) => {
+  const { partyGUID, psbt, signatures } = req.body || {};
+  if (!psbt || !Array.isArray(signatures)) {
+    return res.status(400).json({ success: false, error: 'psbt and signatures are required', code: 'VALIDATION_ERROR' });
+  }
+
+  try {
+    const wallet = await walletFor(partyGUID);
+    const result = transactionReview.finalizePsbt(wallet.asset, psbt, signatures, {
+      address: wallet.address,
+      network: wallet.network,
+      publicKey: wallet.groupPublicKey
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'POST /api/transactions/psbt/finalize');
+  }
+});
+
+// Verify threshold signatures before the result QR is shown:
+// { partyGUID, messages: [hash, ...], signatures: [{ signature, recoveryId }] } in input order -> { publicKey }
+router.post('/verify', async (req, res) => {
+  const { partyGUID, messages, signatures } = req.body || {};
+  if (!Array.isArray(messages) || messages.length === 0 || !Array.isArray(signatures)) {
+    return res.status(400).json({ success: false, error: 'messages and signatures are required', code: 'VALIDATION_ERROR' });
+  }
+
+  try {
+    const wallet = await walletFor(partyGUID);
+    const result = transactionReview.verifySignatures(wallet.asset, {
+      address: wallet.address,
+      network: wallet.network,
+      publicKey: wallet.groupPublicKey,
+      messages,
+      signatures
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'POST /api/transactions/verify');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,422 @@
+const express = require('express');
+const router = express.Router();
+const tssConfig = require('../config/tss');
+const tssOrchestrator = require('../utils/tssOrchestrator');
+const { TssOrchestratorError } = tssOrchestrator;
+const { PartyMember, Wallet } = require('../models');
+const ceremonyJournal = require('../utils/ceremonyJournal');
+const activeOperations = require('../utils/activeOperations');
+const reviewedMessages = require('../utils/reviewedMessages');
+const { checkGroupAddress } = require('../utils/addressDerivation');
+const assetRegistry = require('../utils/assetRegistry');
+
+// TSS Orchestrator Proxy Routes
+// The Cold Wallet UI calls these instead of the orchestrator so the server can
+// log, validate and normalise every party, activation and signature request.
+// Wallet-creation steps are journaled (utils/ceremonyJournal.js) so interrupted ceremonies can resume.
+// Running ceremonies and signing sessions are tracked (utils/activeOperations.js): a network appearing
+// aborts their orchestrator calls with 503 NETWORK_DETECTED.
+// Responses: { success: true, data } or { success: false, error, code }
+
+/**
+ * Reject the request with 400 when required body fields are missing
+ * @returns {boolean} true if the response was already sent
+ */
+function rejectMissing(req, res, fields) {
+  const body = req.body || {};
+  const missing = fields.filter(f => body[f] === undefined || body[f] === null || body[f] === '');
+  if (missing.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `Missing required field(s): ${missing.join(', ')}`,
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+}
+
+/**
+ * Forward to the orchestrator and send the normalised result
+ * @param {Function} [record] async (data) => void, records a successful step (ceremony journal, signing session)
+ */
+async function relay(res, method, path, body, record) {
+  // Stop waiting on the orchestrator (e.g. for a card tap) once the browser has gone away or a network appears
+  const signal = activeOperations.signalFor(res);
+
+  try {
+    const data = await tssOrchestrator.request(method, path, body, { signal });
+    if (record) await record(data);
+    res.json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, signal);
+  }
+}
+
+/**
+ * Serial of the Toughkey the orchestrator reports for an operation
+ * @param {*} data unwrapped resultObject
+ * @returns {string|null}
+ */
+function reportedSerial(data) {
+  if (!data || typeof data !== 'object') return null;
+  return data.SerialNumber || data.serialNumber || null;
+}
+
+/**
+ * A signature whose Toughkey cannot be checked: refused, or with TSS_REQUIRE_SIGNER_SERIAL=false
+ * accepted and flagged
+ * @param {string} message why the device cannot be checked
+ * @param {Object} [details]
+ * @returns {string} the warning for the signing page
+ * @throws {TssOrchestratorError} DEVICE_UNVERIFIED (409)
+ */
+function unverifiedDevice(message, details = null) {
+  if (tssConfig.requireSignerSerial) {
+    throw new TssOrchestratorError(message, { code: 'DEVICE_UNVERIFIED', status: 409, details });
+  }
+  console.warn(`[TSS] ${message}; accepted because TSS_REQUIRE_SIGNER_SERIAL=false`);
+  return message;
+}
+
+/**
+ * The member asked to sign, looked up on the wallet the session was opened for (never another
+ * wallet's member with the same GUID). Checked before the card is tapped.
+ * @param {string} sessionID
+ * @param {string} memberGUID
+ * @returns {Promise<{ member: PartyMember, warning: string|null }>} warning when the member has no
+ *   recorded serial and TSS_REQUIRE_SIGNER_SERIAL=false (a wallet created before serials were recorded)
+ * @throws {TssOrchestratorError} SESSION_UNKNOWN or DEVICE_UNVERIFIED (409)
+ */
+async function signingMember(sessionID, memberGUID) {
+  const partyGUID = activeOperations.sessionParty(sessionID);
+  if (!partyGUID) {
+    throw new TssOrchestratorError(`Signing session ${sessionID} is not open on this server (expired or opened elsewhere): start signing again`, {
+      code: 'SESSION_UNKNOWN', status: 409
+    });
+  }
+
+  const member = await PartyMember.findOne({
+    where: { memberGUID: String(memberGUID) },
+    include: [{ model: Wallet, where: { partyGUID }, required: true }]
+  });
+  if (!member) {
+    throw new TssOrchestratorError(`Member ${memberGUID} is not recorded for wallet ${partyGUID}: its Toughkey cannot be verified`, {
+      code: 'DEVICE_UNVERIFIED', status: 409, details: { partyGUID }
+    });
+  }
+  const warning = member.serialNumber ? null
+    : unverifiedDevice(`${member.label} has no recorded Toughkey serial (the wallet was saved without one): its signature is unverified`);
+  return { member, warning };
+}
+
+/**
+ * Check that a signature came from the Toughkey recorded for the member at wallet creation
+ * @param {PartyMember} member from signingMember
+ * @param {*} data unwrapped Signature/sign result
+ * @returns {string|null} a warning for the signing page when no serial was reported and
+ *   TSS_REQUIRE_SIGNER_SERIAL=false, else null
+ * @throws {TssOrchestratorError} DEVICE_MISMATCH or DEVICE_UNVERIFIED (409)
+ */
+function verifySignerDevice(member, data) {
+  if (!member.serialNumber) return null; // flagged by signingMember
+
+  const serial = reportedSerial(data);
+  if (!serial) {
+    return unverifiedDevice(`${member.label} signature could not be verified: no device serial reported (expected ${member.serialNumber})`, {
+      expectedSerial: member.serialNumber
+    });
+  }
+
+  if (serial !== member.serialNumber) {
+    throw new TssOrchestratorError(
+      `Wrong Toughkey for ${member.label}: expected serial ${member.serialNumber}, got ${serial}`,
+      { code: 'DEVICE_MISMATCH', status: 409, details: { expectedSerial: member.serialNumber, reportedSerial: serial } }
+    );
+  }
+  return null;
+}
+
+/**
+ * Derive the wallet address from the group key Activation/end reports; the orchestrator's
+ * address is only accepted when it is exactly the one the key derives
+ * @param {string} asset registered asset, e.g. BTC
+ * @param {string} network wallet network, e.g. testnet
+ * @param {*} data unwrapped Activation/end result ({ partyID, address, publicKey })
+ * @returns {Object} result with the derived address and compressed groupPublicKey
+ * @throws {TssOrchestratorError} GROUP_KEY_MISSING, GROUP_KEY_INVALID or ADDRESS_MISMATCH (502)
+ */
+function checkActivation(asset, network, data) {
+  const reported = data || {};
+  const publicKey = reported.publicKey || reported.PublicKey || reported.groupPublicKey;
+  if (!publicKey) {
+    throw new TssOrchestratorError('The orchestrator did not report the group public key: the wallet address cannot be checked', {
+      code: 'GROUP_KEY_MISSING'
+    });
+  }
+
+  let checked;
+  try {
+    checked = checkGroupAddress(asset, publicKey, reported.address, network);
+  } catch (err) {
+    throw new TssOrchestratorError(err.message, { code: 'GROUP_KEY_INVALID' });
+  }
+  if (!checked.matches) {
+    throw new TssOrchestratorError(
+      `The orchestrator reported ${reported.address}, but the group key derives ${checked.address}`,
+      { code: 'ADDRESS_MISMATCH', details: { reportedAddress: reported.address, derivedAddress: checked.address } }
+    );
+  }
+
+  return { ...reported, address: checked.address, groupPublicKey: checked.publicKey, network };
+}
+
+/**
+ * @param {AbortSignal} [signal] the call's signal: a call stopped by a network reports why
+ */
+function sendError(res, err, signal) {
+  if (res.destroyed) return;
+  if (signal && signal.aborted && signal.reason instanceof TssOrchestratorError) err = signal.reason;
+  if (err instanceof TssOrchestratorError) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      code: err.code,
+      ...(err.upstreamStatus ? { upstreamStatus: err.upstreamStatus } : {})
+    });
+  }
+  console.error('TSS proxy failed:', err);
+  res.status(500).json({ success: false, error: 'Internal error', code: 'INTERNAL_ERROR', details: err.message });
+}
+
+// ---- Party ----
+
+// List parties known to the orchestrator
+router.get('/party', (req, res) => relay(res, 'GET', '/api/Party'));
+
+// Create a party: { assets, network?, size, threshold, thresholdConfig?, walletName? }
+// `network` is one of the asset's networks (default: its default network); EVM networks also send their chainId
+router.post('/party', (req, res) => {
+  if (rejectMissing(req, res, ['assets', 'size', 'threshold'])) return;
+
+  const { assets, size, threshold, thresholdConfig, walletName } = req.body;
+  const n = Number(size);
+  const t = Number(threshold);
+
+  if (!Array.isArray(assets) || assets.length === 0) {
+    return res.status(400).json({ success: false, error: 'assets must be a non-empty array', code: 'VALIDATION_ERROR' });
+  }
+  const unsupported = assets.filter(a => !assetRegistry.get(a));
+  if (unsupported.length) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported asset(s): ${unsupported.join(', ')} (supported: ${assetRegistry.symbols().join(', ')})`,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  const network = assetRegistry.network(assets[0], req.body.network);
+  if (!network) {
+    return res.status(400).json({
+      success: false,
+      error: `${assets[0]} has no network ${req.body.network} (networks: ${Object.keys(assetRegistry.get(assets[0]).address.networks).join(', ')})`,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  if (!Number.isInteger(n) || !Number.isInteger(t) || n < 2 || t < 1 || t > n) {
+    return res.status(400).json({ success: false, error: 'threshold must be between 1 and size (size >= 2)', code: 'VALIDATION_ERROR' });
+  }
+
+  relay(res, 'POST', '/api/Party/create', {
+    assets,
+    network: network.name,
+    ...(network.chainId !== undefined ? { chainId: network.chainId } : {}),
+    size: n,
+    threshold: t,
+    thresholdConfig: thresholdConfig || [],
+    walletName: walletName || null
+  }, (data) => {
+    const partyGUID = Array.isArray(data) ? data[0] : (data && (data.id || data.partyGUID)) || data;
+    activeOperations.ceremonyRunning(partyGUID);
+    return ceremonyJournal.partyCreated(partyGUID, { asset: assets[0], network: network.name, size: n, threshold: t, walletName });
+  });
+});
+
+// Add members to a party: { partyID, members: [...] }
+router.post('/party/members', (req, res) => {
+  if (rejectMissing(req, res, ['partyID', 'members'])) return;
+  if (!Array.isArray(req.body.members) || req.body.members.length === 0) {
+    return res.status(400).json({ success: false, error: 'members must be a non-empty array', code: 'VALIDATION_ERROR' });
+  }
+
+  const { partyID, members } = req.body;
+  activeOperations.ceremonyRunning(partyID);
+  relay(res, 'POST', '/api/Party/addMembers', { partyID, members }, (data) => (
+    Array.isArray(data) ? ceremonyJournal.membersAdded(partyID, data) : null
+  ));
+});
+
+// Check a member PIN on a Toughkey: { participantId, pin, SerialNumbersToExclude? }
+router.post('/party/authorize', async (req, res) => {
+  if (rejectMissing(req, res, ['participantId', 'pin'])) return;
+
+  const { participantId, pin, SerialNumbersToExclude } = req.body;
+  // A resumed ceremony may start here: find it through the member
+  const ceremony = await ceremonyJournal.findInProgressForMember(participantId).catch(() => null);
+  if (ceremony) activeOperations.ceremonyRunning(ceremony.partyGUID);
+  relay(res, 'POST', '/api/Party/authorize', {
+    participantId,
+    pin,
+    SerialNumbersToExclude: SerialNumbersToExclude || []
+  }, (data) => ceremonyJournal.memberAuthorized(participantId, typeof data === 'string' ? data : reportedSerial(data)));
+});
+
+// Save a member share to its Toughkey: { partyId, participantId, pin, SerialNumbersToExclude? }
+router.post('/party/save', (req, res) => {
+  if (rejectMissing(req, res, ['partyId', 'participantId', 'pin'])) return;
+
+  const { partyId, participantId, pin, SerialNumbersToExclude } = req.body;
+  activeOperations.ceremonyRunning(partyId);
+  relay(res, 'POST', '/api/Party/save', {
+    partyId,
+    participantId,
+    pin,
+    SerialNumbersToExclude: SerialNumbersToExclude || []
+  }, () => ceremonyJournal.shareSaved(participantId));
+});
+
+// Discard a cancelled ceremony's party: { partyID }
+// Only a party whose ceremony is in progress in the journal (never a finished wallet's). A started
+// activation is cancelled first, then the party is deleted; one the orchestrator no longer has
+// counts as discarded. The UI aborts the journal entry only once this succeeds.
+router.post('/party/discard', async (req, res) => {
+  if (rejectMissing(req, res, ['partyID'])) return;
+
+  const { partyID } = req.body;
+  const signal = activeOperations.signalFor(res);
+  const gone = (err) => err instanceof TssOrchestratorError && err.upstreamStatus === 404;
+  try {
+    const ceremony = await ceremonyJournal.findInProgress(partyID);
+    if (!ceremony) {
+      return res.status(409).json({ success: false, error: `No ceremony in progress for party ${partyID}: it cannot be discarded`, code: 'CEREMONY_NOT_IN_PROGRESS' });
+    }
+
+    let activationCancelled = false;
+    if (ceremony.stage === 'saving' || ceremony.stage === 'finalizing') {
+      try {
+        await tssOrchestrator.request('POST', '/api/Activation/cancel', { partyID }, { signal });
+        activationCancelled = true;
+      } catch (err) {
+        if (!gone(err)) throw err;
+      }
+    }
+    try {
+      await tssOrchestrator.request('POST', '/api/Party/delete', { partyID }, { signal });
+    } catch (err) {
+      if (!gone(err)) throw err;
+    }
+
+    console.log(`[TSS] Party ${partyID} discarded on the orchestrator${activationCancelled ? ' (activation cancelled)' : ''}`);
+    res.json({ success: true, data: { partyID, activationCancelled } });
+  } catch (err) {
+    console.warn(`[TSS] Party ${partyID} was not discarded: ${err.message}`);
+    sendError(res, err, signal);
+  }
+});
+
+// ---- Activation ----
+
+router.post('/activation/start', (req, res) => {
+  if (rejectMissing(req, res, ['partyID'])) return;
+  activeOperations.ceremonyRunning(req.body.partyID);
+  relay(res, 'POST', '/api/Activation/start', { partyID: req.body.partyID },
+    () => ceremonyJournal.activationStarted(req.body.partyID));
+});
+
+// End activation: { partyID, asset?, network? }
+// The address is derived locally from the reported group key (asset and network from the ceremony journal, else the body)
+router.post('/activation/end', async (req, res) => {
+  if (rejectMissing(req, res, ['partyID'])) return;
+
+  const { partyID } = req.body;
+  activeOperations.ceremonyRunning(partyID);
+  const signal = activeOperations.signalFor(res);
+  try {
+    const ceremony = await ceremonyJournal.findInProgress(partyID);
+    const asset = (ceremony && ceremony.asset) || req.body.asset;
+    if (!asset) {
+      return res.status(400).json({ success: false, error: 'Unknown wallet asset: send asset', code: 'VALIDATION_ERROR' });
+    }
+    const network = assetRegistry.network(asset, ceremony ? ceremony.network : req.body.network);
+    if (!network) {
+      return res.status(400).json({ success: false, error: `${asset} has no network ${req.body.network}`, code: 'VALIDATION_ERROR' });
+    }
+
+    const data = checkActivation(asset, network.name, await tssOrchestrator.request('POST', '/api/Activation/end', { partyID }, { signal }));
+    await ceremonyJournal.activationEnded(partyID, data.address, data.groupPublicKey);
+    activeOperations.ceremonyEnded(partyID);
+    res.json({ success: true, data });
+  } catch (err) {
+    if (err.code === 'ADDRESS_MISMATCH' || err.code === 'GROUP_KEY_INVALID') {
+      console.error(`[TSS] Activation of ${partyID} rejected: ${err.message}`);
+    }
+    sendError(res, err, signal);
+  }
+});
+
+// ---- Signature ----
+
+// Open a signing session: { partyGUID, messageToSign }
+// Only for a message /api/transactions approved for this wallet (review or PSBT import) within
+// the last 15 minutes: anything else answers 409 MESSAGE_NOT_REVIEWED
+router.post('/signature', (req, res) => {
+  if (rejectMissing(req, res, ['partyGUID', 'messageToSign'])) return;
+
+  const { partyGUID, messageToSign } = req.body;
+  if (!reviewedMessages.isApproved(String(partyGUID), messageToSign)) {
+    console.warn(`[TSS] Refused signing session for ${partyGUID}: ${messageToSign} was not approved by a transaction review`);
+    return res.status(409).json({
+      success: false,
+      error: 'This message was not approved by a transaction review for this wallet (or the review expired): review the transaction again',
+      code: 'MESSAGE_NOT_REVIEWED'
+    });
+  }
+  relay(res, 'POST', '/api/Signature/create', { partyGUID, messageToSign },
+    (sessionID) => activeOperations.sessionOpened(sessionID, partyGUID));
+});
+
+// Add one member signature: { sessionID, partyMemberID, pin }
+// The member must be recorded on the session's wallet with a Toughkey serial, and the reported
+// device serial must match it. The orchestrator may already have counted a rejected card, so its
+// session is aborted here; an aborted session (wrong card, or a network appearing) takes no more
+// signatures (409 SESSION_ABORTED)
+router.post('/signature/sign', async (req, res) => {
+  if (rejectMissing(req, res, ['sessionID', 'partyMemberID', 'pin'])) return;
+
+  const { sessionID, partyMemberID, pin } = req.body;
+  const aborted = activeOperations.sessionAborted(sessionID);
+  if (aborted) {
+    return res.status(409).json({
+      success: false,
+      error: `Signing session was aborted (${aborted}): start signing again`,
+      code: 'SESSION_ABORTED'
+    });
+  }
+
+  const signal = activeOperations.signalFor(res);
+  try {
+    const { member, warning } = await signingMember(sessionID, partyMemberID);
+    const data = await tssOrchestrator.request('POST', '/api/Signature/sign', { sessionID, partyMemberID, pin }, { signal });
+
+    const deviceUnverified = verifySignerDevice(member, data) || warning;
+    if (data && data.signature) activeOperations.sessionClosed(sessionID);
+    // A sibling of `data`, which is the orchestrator's result as-is and goes into the signed-transaction QR
+    res.json({ success: true, data, ...(deviceUnverified ? { deviceUnverified } : {}) });
+  } catch (err) {
+    if (err.code === 'DEVICE_MISMATCH' || err.code === 'DEVICE_UNVERIFIED') {
+      console.warn(`[TSS] Signature rejected for session ${sessionID}: ${err.message}`);
+      activeOperations.abortSession(sessionID, err.message);
+    }
+    sendError(res, err, signal);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const sequelize = require('../config/database');
+const { Address, Wallet, PartyMember } = require('../models');
+const { withDbRetry } = require('../utils/dbRetry');
+const { checkGroupAddress } = require('../utils/addressDerivation');
+const assetRegistry = require('../utils/assetRegistry');
+const { buildWatchOnlyExport } = require('../utils/watchOnlyExport');
+
+// Wallet Metadata Routes
+// Full party metadata (name, asset, network, threshold, size, members) persisted locally so the
+// wallet selector works without the orchestrator.
+// Responses: { success: true, wallet(s) } or { success: false, error }
+
+const walletInclude = [{ model: PartyMember, as: 'members' }];
+const walletOrder = [['createdAt', 'ASC'], [{ model: PartyMember, as: 'members' }, 'position', 'ASC']];
+
+/**
+ * Network of a wallet payload: `network`, else the asset's default network, else the network its
+ * address belongs to (orchestrator parties imported without a network)
+ * @param {Object} body wallet payload with a registered asset
+ * @returns {string}
+ */
+function networkOf({ asset, address, network }) {
+  if (network) return String(network);
+  const fallback = assetRegistry.network(asset).name;
+  const candidates = [fallback, ...Object.keys(assetRegistry.get(asset).address.networks)];
+  return candidates.find(n => assetRegistry.validateAddress(asset, address, { network: n }).valid) || fallback;
+}
+
+/**
+ * Validate a wallet payload. The address is always checked against the group key: the payload's,
+ * else the one already recorded. Only a wallet saved before keys were recorded may be resaved
+ * without one, and then only with its stored address (it stays unverified).
+ * @param {Object} body
+ * @param {Wallet|null} existing stored record for body.partyGUID
+ * @returns {string|null} error message, or null if valid
+ */
+function validateWallet(body, existing) {
+  const { partyGUID, address, asset, size, threshold, members } = body;
+
+  if (!partyGUID) return 'Missing partyGUID';
+  if (!address) return 'Missing address';
+  if (!assetRegistry.get(asset)) return `asset must be one of ${assetRegistry.symbols().join(', ')}`;
+  const network = networkOf(body);
+  if (!assetRegistry.network(asset, network)) {
+    return `network must be one of ${Object.keys(assetRegistry.get(asset).address.networks).join(', ')}`;
+  }
+  const addressCheck = assetRegistry.validateAddress(asset, address, { network });
+  if (!addressCheck.valid) return addressCheck.error;
+
+  const n = Number(size);
+  const t = Number(threshold);
+  if (!Number.isInteger(n) || !Number.isInteger(t) || t < 1 || t > n) {
+    return 'threshold must be between 1 and size';
+  }
+
+  if (!Array.isArray(members) || members.length !== n) {
+    return `members must list all ${n} party members`;
+  }
+  if (members.some(m => !m || !m.memberGUID)) {
+    return 'Every member needs a memberGUID';
+  }
+
+  const groupPublicKey = body.groupPublicKey || (existing && existing.groupPublicKey);
+  if (!groupPublicKey) {
+    if (existing && existing.address === address) return null;
+    return 'Missing groupPublicKey: the wallet address cannot be verified';
+  }
+  let checked;
+  try {
+    checked = checkGroupAddress(asset, groupPublicKey, address, network);
+  } catch (err) {
+    return err.message;
+  }
+  if (!checked.matches) return `address does not match the group public key (derives ${checked.address})`;
+  if (existing && existing.groupPublicKey && existing.groupPublicKey !== checked.publicKey) {
+    return 'groupPublicKey differs from the key recorded for this wallet';
+  }
+  return null;
+}
+
+// List all wallets with their members
+router.get('/', async (req, res) => {
+  try {
+    const wallets = await Wallet.findAll({ include: walletInclude, order: walletOrder });
+    res.json({ success: true, wallets });
+  } catch (error) {
+    console.error('Error fetching wallets:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch wallets' });
+  }
+});
+
+// Get one wallet by party GUID
+router.get('/:partyGUID', async (req, res) => {
+  try {
+    const wallet = await Wallet.findOne({
+      where: { partyGUID: req.params.partyGUID },
+      include: walletInclude,
+      order: walletOrder
+    });
+
+    if (!wallet) {
+      return res.status(404).json({ success: false, error: 'Wallet not found' });
+    }
+    res.json({ success: true, wallet });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch wallet' });
+  }
+});
+
+// Watch-only export for companion apps (descriptor or public key, name, threshold, party ID)
+router.get('/:partyGUID/export', async (req, res) => {
+  try {
+    const wallet = await Wallet.findOne({ where: { partyGUID: req.params.partyGUID } });
+
+    if (!wallet) {
+      return res.status(404).json({ success: false, error: 'Wallet not found' });
+    }
+    res.json({ success: true, export: buildWatchOnlyExport(wallet) });
+  } catch (error) {
+    console.error('Error exporting wallet:', error);
+    res.status(500).json({ success: false, error: 'Failed to export wallet' });
+  }
+});
+
+// Create or replace a wallet's metadata after a finished ceremony or an orchestrator import
+// Body: { partyGUID, walletName, asset, network?, address, groupPublicKey, size, threshold,
+//         members: [{ memberGUID, externalPartyMemberID?, label, serialNumber? }] }
+// groupPublicKey is required for a new wallet (see validateWallet)
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const { partyGUID, walletName, asset, address, groupPublicKey, size, threshold, members } = body;
+
+  try {
+    const existing = partyGUID ? await Wallet.findOne({ where: { partyGUID: String(partyGUID) } }) : null;
+    const validationError = validateWallet(body, existing);
+    if (validationError) {
+      console.warn(`[Wallets] Refused wallet ${partyGUID}: ${validationError}`);
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const network = networkOf(body);
+
+    const created = await withDbRetry(() => sequelize.transaction(async (transaction) => {
+      const values = {
+        walletName: walletName || null,
+        asset,
+        network,
+        address,
+        size: Number(size),
+        threshold: Number(threshold)
+      };
+      // Stored compressed; a resave without the key keeps the recorded one
+      if (groupPublicKey) values.groupPublicKey = checkGroupAddress(asset, groupPublicKey, address, network).publicKey;
+
+      let wallet = await Wallet.findOne({ where: { partyGUID }, transaction });
+      const isNew = !wallet;
+      if (isNew) {
+        wallet = await Wallet.create({ partyGUID, ...values }, { transaction });
+      } else {
+        await wallet.update(values, { transaction });
+        await PartyMember.destroy({ where: { walletId: wallet.id }, transaction });
+      }
+
+      await PartyMember.bulkCreate(members.map((m, position) => ({
+        walletId: wallet.id,
+        memberGUID: String(m.memberGUID),
+        externalPartyMemberID: m.externalPartyMemberID || null,
+        label: m.label || `Toughkey ${position + 1}`,
+        serialNumber: m.serialNumber || null,
+        position
+      })), { transaction });
+
+      // Keep the address list in step for the existing /api/addresses consumers
+      const [addressRow, addressCreated] = await Address.findOrCreate({
+        where: { address },
+        defaults: { address, partyGUID, asset, network },
+        transaction
+      });
+      if (!addressCreated && (addressRow.partyGUID !== partyGUID || addressRow.asset !== asset || addressRow.network !== network)) {
+        await addressRow.update({ partyGUID, asset, network }, { transaction });
+      }
+
+      return isNew;
+    }), { label: 'POST /api/wallets' });
+
+    const wallet = await Wallet.findOne({ where: { partyGUID }, include: walletInclude, order: walletOrder });
+    console.log(`${created ? 'Saved' : 'Updated'} wallet ${partyGUID} (${asset} ${network} ${threshold}-of-${size})`);
+    res.status(created ? 201 : 200).json({ success: true, wallet });
+
+  } catch (err) {
+    if (err.dbBusy) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database temporarily unavailable',
+        retries: err.retries
+      });
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, error: err.errors.map(e => e.message).join(', ') });
+    }
+    console.error('POST /api/wallets failed:', err);
+    res.status(500).json({ success: false, error: 'Failed to save wallet', details: err.message });
+  }
+});
+
+// Delete a wallet and its members
+router.delete('/:partyGUID', async (req, res) => {
+  try {
+    const wallet = await Wallet.findOne({ where: { partyGUID: req.params.partyGUID } });
+
+    if (!wallet) {
+      return res.status(404).json({ success: false, error: 'Wallet not found' });
+    }
+
+    await withDbRetry(() => sequelize.transaction(async (transaction) => {
+      await PartyMember.destroy({ where: { walletId: wallet.id }, transaction });
+      await wallet.destroy({ transaction });
+    }), { label: 'DELETE /api/wallets' });
+
+    console.log(`Deleted wallet ${wallet.partyGUID}`);
+    res.json({ success: true, message: 'Wallet deleted successfully', partyGUID: wallet.partyGUID });
+
+  } catch (error) {
+    if (error.dbBusy) {
+      return res.status(503).json({ success: false, error: 'Database temporarily unavailable', retries: error.retries });
+    }
+    console.error('DELETE /api/wallets/:partyGUID failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete wallet', details: error.message });
+  }
+});
+
+module.exports = router;
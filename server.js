@@ -4,8 +4,17 @@ const express = require('express');
 const path = require('path');
 const engine = require('ejs-mate');
 const sequelize = require('./config/database');
-const Address = require('./models/address');
+const tssConfig = require('./config/tss');
+const { Address } = require('./models');
 const networkDetector = require('./utils/networkDetection');
+const tssRoutes = require('./routes/tss');
+const walletRoutes = require('./routes/wallets');
+const ceremonyRoutes = require('./routes/ceremonies');
+const transactionRoutes = require('./routes/transactions');
+const networkIncidentRoutes = require('./routes/networkIncidents');
+const ceremonyJournal = require('./utils/ceremonyJournal');
+const networkIncidentLog = require('./utils/networkIncidentLog');
+const assetRegistry = require('./utils/assetRegistry');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -30,9 +39,10 @@ app.use((req, res, next) => {
 });
 
 // Network detection middleware - block access if network detected
+const INCIDENT_PATHS = ['/network-incidents', '/api/network-incidents'];
 app.use((req, res, next) => {
-  // Skip network check for health endpoint
-  if (req.path === '/health') {
+  // Skip network check for the health endpoint, the network-state stream and the (read-only) incident history
+  if (req.path === '/health' || req.path === '/events/network' || INCIDENT_PATHS.some(p => req.path === p || req.path.startsWith(`${p}/`))) {
     return next();
   }
 
@@ -45,12 +55,20 @@ app.use((req, res, next) => {
   const detection = networkDetector.detect();
   
   if (detection.hasNetwork) {
-    // Network detected - block access
+    // Network detected - block access (API callers get the reason as JSON)
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Network connectivity detected: the Cold Wallet is unavailable until every network is disconnected',
+        code: 'NETWORK_DETECTED'
+      });
+    }
     return res.status(403).render('network-blocked', {
       title: 'Cold Wallet Unavailable',
       stylesheets: ['/css/loading-overlay.css'],
       detection: {
         interfaces: detection.interfaces,
+        radios: detection.radios || [],
         gateway: detection.gateway,
         details: detection.details || {},
         timestamp: detection.timestamp
@@ -73,12 +91,15 @@ app.get('/', async (req, res) => {
       addresses: [],  // Empty; UI uses localStorage
       baseUrl: '/',
       selectedAddress: null,
+      // Wallet-type cards, payment-URI schemes and address checks (config/assets.js)
+      assets: assetRegistry.list(),
       // TSS environment variables
-      TssApiUrl: process.env.TSS_ORCHESTRATOR_API_URL || null,
-      TssClientId: process.env.TSS_TOKEN_CLIENT_ID || null,
-      TssClientSecret: process.env.TSS_TOKEN_CLIENT_SECRET || null,
-      TssTokenUrl: process.env.TSS_TOKEN_URL || null,
-      TssHelperUrl: process.env.TSS_HELPER_API_URL || null,
+      TssApiUrl: tssConfig.orchestratorUrl,
+      TssProxyUrl: '/api/tss',
+      TssClientId: tssConfig.clientId,
+      TssClientSecret: tssConfig.clientSecret,
+      TssTokenUrl: tssConfig.tokenUrl,
+      TssHelperUrl: tssConfig.helperUrl,
       walletData: { addresses: [], balance: { btc: 0, usd: 0 }, recentTransactions: [] }
     });
   } catch (error) {
@@ -97,7 +118,7 @@ app.get('/', async (req, res) => {
 app.get('/api/addresses', async (req, res) => {
   try {
     const addresses = await Address.findAll({
-      attributes: ['id', 'address', 'asset', 'partyGUID']
+      attributes: ['id', 'address', 'asset', 'network', 'partyGUID']
     });
     res.json({ success: true, addresses });
   } catch (error) {
@@ -113,11 +134,19 @@ app.post('/api/addresses', async (req, res) => {
 
   while (attempt < maxRetries) {
     try {
-      const { address, partyGUID, asset, userId } = req.body || {};
+      const { address, partyGUID, asset, network, userId } = req.body || {};
       
       if (!address) {
         return res.status(400).json({ error: 'Missing address' });
       }
+      const walletNetwork = assetRegistry.network(asset || 'BTC', network);
+      if (!walletNetwork) {
+        return res.status(400).json({ error: `${asset || 'BTC'} has no network ${network}`, code: 'INVALID_NETWORK' });
+      }
+      const check = assetRegistry.validateAddress(asset || 'BTC', address, { network: walletNetwork.name });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error, code: 'INVALID_ADDRESS' });
+      }
 
       const [row, created] = await Address.findOrCreate({
         where: { address },
@@ -125,6 +154,7 @@ app.post('/api/addresses', async (req, res) => {
           address,
           partyGUID: partyGUID || '',
           asset: asset || 'BTC',
+          network: walletNetwork.name,
           user_id: userId || null
         }
       });
@@ -132,11 +162,13 @@ app.post('/api/addresses', async (req, res) => {
       if (!created) {
         const needsUpdate =
           (asset && row.asset !== asset) ||
+          (network && row.network !== walletNetwork.name) ||
           (partyGUID && row.partyGUID !== partyGUID);
 
         if (needsUpdate) {
           await row.update({
             asset: asset || row.asset,
+            network: network ? walletNetwork.name : row.network,
             partyGUID: partyGUID || row.partyGUID
           });
         }
@@ -208,6 +240,50 @@ app.delete('/api/addresses/:address', async (req, res) => {
   }
 });
 
+// API: Wallet metadata (party, threshold, members)
+app.use('/api/wallets', walletRoutes);
+
+// API: Wallet-creation ceremony journal (resume / abort)
+app.use('/api/ceremonies', ceremonyRoutes);
+
+// API: Transaction review before signing (decode + sighash check)
+app.use('/api/transactions', transactionRoutes);
+
+// API: TSS orchestrator proxy (party, activation, signature)
+app.use('/api/tss', tssRoutes);
+
+// API: Network incident history (read-only, reachable while blocked)
+app.use('/api/network-incidents', networkIncidentRoutes);
+
+// Network incident review page
+app.get('/network-incidents', async (req, res) => {
+  const { filters, error } = networkIncidentLog.parseFilters(req.query);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = 50;
+  try {
+    const { rows, count } = error ? { rows: [], count: 0 } : await networkIncidentLog.list({ ...filters, limit: pageSize, offset: (page - 1) * pageSize });
+    res.render('network-incidents', {
+      title: 'Network Incidents',
+      stylesheets: [],
+      incidents: rows,
+      total: count,
+      page,
+      pages: Math.max(Math.ceil(count / pageSize), 1),
+      query: { state: req.query.state || '', since: req.query.since || '', until: req.query.until || '' },
+      filterError: error || null
+    });
+  } catch (err) {
+    console.error('Error rendering network incidents:', err);
+    res.status(500).render('error', {
+      title: 'Error',
+      stylesheets: [],
+      errorCode: 500,
+      errorMessage: 'Failed to load network incidents',
+      errorDescription: err.message
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   const detection = networkDetector.detect();
@@ -219,17 +295,41 @@ app.get('/health', (req, res) => {
       enabled: detection.enabled,
       hasNetwork: detection.hasNetwork,
       interfaces: detection.interfaces || [],
+      radios: detection.radios || [],
       gateway: detection.gateway || false,
       details: detection.details || {},
       config: networkDetector.getConfig()
     },
     config: {
-      tssApiUrl: process.env.TSS_ORCHESTRATOR_API_URL || 'not_configured',
+      tssApiUrl: tssConfig.orchestratorUrl,
       nodeEnv: process.env.NODE_ENV || 'development'
     }
   });
 });
 
+// Network-state stream (Server-Sent Events): the current detection on connect, then every transition
+// the detector sees. layout-minimal.ejs locks the UI and network-blocked.ejs recovers from it.
+app.get('/events/network', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (detection) => res.write(`event: network\ndata: ${JSON.stringify(detection)}\n\n`);
+  res.write('retry: 3000\n\n');
+  send(networkDetector.detect());
+  const unsubscribe = networkDetector.subscribe(send);
+  // Comment lines keep idle connections open through proxies and sleep
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -259,15 +359,26 @@ async function startServer() {
     await sequelize.authenticate();
     console.log('✅ Database connected');
 
-    // Sync database schema (creates/updates Addresses table)
+    // Sync database schema (creates/updates Addresses, Wallets, PartyMembers, Ceremonies and NetworkIncidents tables)
     await sequelize.sync({ alter: true });
     console.log('✅ Database schema synced');
 
+    // The UI offers resume/abort for these on its next load
+    const interrupted = await ceremonyJournal.findInterrupted();
+    if (interrupted.length > 0) {
+      console.warn(`⚠️  ${interrupted.length} interrupted wallet-creation ceremony(ies): ${interrupted.map(c => c.partyGUID).join(', ')}`);
+    }
+
+    // Record network transitions from now on (before any request can start a TSS operation)
+    await networkIncidentLog.start();
+
     // Start Express server
     app.listen(PORT, () => {
       console.log(`✅ Cold Wallet Standalone Server running on http://localhost:${PORT}`);
       console.log(`   Health check: http://localhost:${PORT}/health`);
       console.log(`   API: http://localhost:${PORT}/api/addresses`);
+      console.log(`   Wallets: http://localhost:${PORT}/api/wallets`);
+      console.log(`   TSS proxy: http://localhost:${PORT}/api/tss -> ${tssConfig.orchestratorUrl}`);
     });
 
   } catch (error) {
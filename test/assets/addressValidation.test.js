@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAddress, toChecksumAddress } = require('../../views/plug-ins/coldwallet/assets/js/addressValidation');
+const ASSETS = require('../../config/assets');
+
+const asset = (symbol) => ASSETS.find(a => a.symbol === symbol);
+const BTC = asset('BTC');
+const ETH = asset('ETH');
+const XRP = asset('XRP');
+
+function valid(entry, address, network) {
+  const result = validateAddress(entry, address, { network });
+  assert.equal(result.valid, true, `${address}: ${result.error}`);
+  return result;
+}
+
+function invalid(entry, address, network, pattern) {
+  const result = validateAddress(entry, address, { network });
+  assert.equal(result.valid, false, `${address} was accepted`);
+  if (pattern) assert.match(result.error, pattern);
+  return result;
+}
+
+test('BIP-173 bech32 and BIP-350 bech32m addresses', () => {
+  assert.equal(valid(BTC, 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4').type, 'p2wpkh');
+  assert.equal(valid(BTC, 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', 'testnet').type, 'p2wsh');
+  assert.equal(valid(BTC, 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0').type, 'p2tr');
+  assert.equal(valid(BTC, 'tb1pqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesf3hn0c', 'testnet').type, 'p2tr');
+});
+
+test('BIP-350 invalid addresses', () => {
+  // v1 program with a bech32 checksum, v0 program with a bech32m checksum
+  invalid(BTC, 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', 'mainnet', /must use bech32m/);
+  invalid(BTC, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', 'mainnet', /must use bech32, not bech32m/);
+  // Mixed case, a typo, an unknown human-readable part
+  invalid(BTC, 'bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+  invalid(BTC, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5', 'mainnet', /checksum is wrong/);
+  invalid(BTC, 'ltc1qw508d6qejxtdg4y5r3zarvary0c5xw7kgmn4n9');
+});
+
+test('base58check P2PKH and P2SH addresses', () => {
+  assert.equal(valid(BTC, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2').type, 'p2pkh');
+  assert.equal(valid(BTC, '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').type, 'p2sh');
+  assert.equal(valid(BTC, 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn', 'testnet').type, 'p2pkh');
+  assert.equal(valid(BTC, '2MzQwSSnBHWHqSAqtTVQ6v47XtaisrJa1Vc', 'testnet').type, 'p2sh');
+  invalid(BTC, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3', 'mainnet', /checksum is wrong/);
+});
+
+test('EIP-55 vectors', () => {
+  for (const address of [
+    '0x52908400098527886E0F7030069857D2E4169EE7',
+    '0x8617E340B3D01FA5F11F306F4090FD50E238070D',
+    '0xde709f2102306220921060314715629080e2fb77',
+    '0x27b1fdb04752bbc536007a920d24acb045561c26',
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+  ]) {
+    valid(ETH, address);
+  }
+  assert.equal(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+  assert.equal(valid(ETH, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed').checksummed, true);
+  assert.equal(valid(ETH, '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed').checksummed, false);
+});
+
+test('EIP-55 capitalisation errors and malformed ETH addresses are refused', () => {
+  invalid(ETH, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', 'mainnet', /EIP-55/);
+  invalid(ETH, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA', 'mainnet', /40 hexadecimal/);
+  invalid(ETH, '5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+});
+
+// X-addresses of rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf, as ripple-address-codec encodes them (XLS-5d)
+test('X-address vectors', () => {
+  assert.equal(valid(XRP, 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf').type, 'classic');
+  assert.equal(valid(XRP, 'XVLhHMPHU98es4dbozjVtdWzVrDjtV5fdx1mHp98tDMoQXb').destinationTag, null);
+  assert.equal(valid(XRP, 'XVLhHMPHU98es4dbozjVtdWzVrDjtV8xvjGQTYPiAx6gwDC').destinationTag, 1);
+  assert.equal(valid(XRP, 'XVLhHMPHU98es4dbozjVtdWzVrDjtV18pX8yuPT7y4xaEHi').destinationTag, 4294967295);
+  assert.equal(valid(XRP, 'TVE26TYGhfLC7tQDno7G8dGtxSkYQnSz1uDimDdPYXzSpyw', 'testnet').destinationTag, 1);
+  invalid(XRP, 'XVLhHMPHU98es4dbozjVtdWzVrDjtV5fdx1mHp98tDMoQXc', 'mainnet', /X-address/);
+  invalid(XRP, 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpg', 'mainnet', /checksum is wrong/);
+});
+
+test('an address for another network than the wallet is refused', () => {
+  invalid(BTC, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'testnet', /is for Mainnet, but this wallet is on Testnet/);
+  invalid(BTC, 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', 'mainnet', /is for Testnet/);
+  invalid(BTC, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'regtest', /is for Mainnet/);
+  invalid(XRP, 'TVE26TYGhfLC7tQDno7G8dGtxSkYQnSz1uDimDdPYXzSpyw', 'mainnet', /is for Testnet/);
+  invalid(BTC, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'litecoin', /Unknown Bitcoin network/);
+});
+
+test('signet shares testnet prefixes and regtest has its own', () => {
+  assert.equal(valid(BTC, 'tb1pqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesf3hn0c', 'signet').network, 'signet');
+  assert.equal(valid(BTC, 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn', 'regtest').network, 'regtest');
+  // Classic XRP and ETH addresses name no network
+  assert.equal(valid(XRP, 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf', 'testnet').type, 'classic');
+  assert.equal(valid(ETH, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', 'sepolia').network, null);
+});
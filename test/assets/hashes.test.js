@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sha256: nobleSha256 } = require('@noble/hashes/sha256');
+const { keccak_256: nobleKeccak256 } = require('@noble/hashes/sha3');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+const Hashes = require('../../views/plug-ins/coldwallet/assets/js/hashes');
+
+// Lengths around the SHA-256 block (64), its length padding (55/56) and the Keccak rate (136)
+const LENGTHS = [0, 1, 3, 55, 56, 63, 64, 65, 119, 120, 135, 136, 137, 271, 272, 1000];
+const message = (length) => Uint8Array.from({ length }, (_, i) => (i * 31 + length) & 0xff);
+
+test('SHA-256 FIPS 180-2 vectors', () => {
+  assert.equal(bytesToHex(Hashes.sha256(new Uint8Array(0))), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.equal(bytesToHex(Hashes.sha256(utf8ToBytes('abc'))), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(
+    bytesToHex(Hashes.sha256(utf8ToBytes('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))),
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+  );
+});
+
+test('Keccak-256 (Ethereum padding) vectors', () => {
+  assert.equal(bytesToHex(Hashes.keccak256(new Uint8Array(0))), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  assert.equal(bytesToHex(Hashes.keccak256(utf8ToBytes('abc'))), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+});
+
+test('SHA-256 and Keccak-256 match @noble/hashes across block boundaries', () => {
+  for (const length of LENGTHS) {
+    const bytes = message(length);
+    assert.equal(bytesToHex(Hashes.sha256(bytes)), bytesToHex(nobleSha256(bytes)), `sha256, ${length} bytes`);
+    assert.equal(bytesToHex(Hashes.keccak256(bytes)), bytesToHex(nobleKeccak256(bytes)), `keccak256, ${length} bytes`);
+  }
+});
+
+test('CRC-32 (IEEE) check value', () => {
+  assert.equal(Hashes.crc32(utf8ToBytes('123456789')), 0xcbf43926);
+  assert.equal(Hashes.crc32(new Uint8Array(0)), 0);
+  assert.equal(Hashes.crc32(utf8ToBytes('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePaymentUri, formatUnits } = require('../../views/plug-ins/coldwallet/assets/js/paymentUri');
+const ASSETS = require('../../config/assets');
+
+function parsed(text) {
+  const result = parsePaymentUri(text, ASSETS);
+  assert.equal(result && result.valid, true, `${text}: ${result && result.error}`);
+  return result;
+}
+
+function refused(text, pattern) {
+  const result = parsePaymentUri(text, ASSETS);
+  assert.equal(result.valid, false, `${text} was accepted`);
+  assert.match(result.error, pattern);
+  return result;
+}
+
+test('plain addresses and other schemes are not payment requests', () => {
+  assert.equal(parsePaymentUri('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', ASSETS), null);
+  assert.equal(parsePaymentUri('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', ASSETS), null);
+  assert.equal(parsePaymentUri('litecoin:LQL9pVH1LsMfKwt82Y2wGhNGkrjF8vwUst', ASSETS), null);
+  assert.equal(parsePaymentUri('', ASSETS), null);
+});
+
+test('BIP-21 amount, label and message', () => {
+  // The examples of BIP-21
+  const request = parsed('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=20.3&label=Luke-Jr');
+  assert.deepEqual(request, {
+    valid: true,
+    asset: request.asset,
+    address: '175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W',
+    amount: '20.3',
+    chainId: null,
+    token: null,
+    destinationTag: null,
+    label: 'Luke-Jr',
+    message: null
+  });
+  assert.equal(request.asset.symbol, 'BTC');
+  const message = parsed('BITCOIN:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=50&label=Luke-Jr&message=Donation%20for%20project%20xyz');
+  assert.equal(message.amount, '50');
+  assert.equal(message.message, 'Donation for project xyz');
+  assert.equal(parsed('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?somethingyoudontunderstand=50&somethingelseyoudontget=999').amount, null);
+  assert.equal(parsed('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=0.00100000').amount, '0.001');
+});
+
+test('BIP-21 requests this wallet cannot honour are refused', () => {
+  refused('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?req-somethingyoudontunderstand=50&req-somethingelseyoudontget=999', /req-somethingyoudontunderstand, req-somethingelseyoudontget/);
+  refused('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=0.000000001', /more than 8 decimal places/);
+  refused('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=1e3', /is not a number/);
+  refused('bitcoin:175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W?amount=1&amount=2', /repeats the amount parameter/);
+  refused('bitcoin:?amount=1', /no recipient/);
+});
+
+test('EIP-681 payments are in wei and may name a chain', () => {
+  const payment = parsed('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359?value=2.014e18');
+  assert.equal(payment.asset.symbol, 'ETH');
+  assert.equal(payment.address, '0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359');
+  assert.equal(payment.amount, '2.014');
+  assert.equal(payment.chainId, null);
+  assert.equal(parsed('ethereum:pay-0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@11155111?value=1').amount, '0.000000000000000001');
+  assert.equal(parsed('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@0xaa36a7').chainId, 11155111);
+  assert.equal(parsed('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359?value=0x10').amount, '0.000000000000000016');
+  refused('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359?value=1.5', /not a whole number of base units/);
+  refused('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@0', /invalid chain ID/);
+  refused('ethereum:vitalik.eth?value=1', /ENS names cannot be resolved offline/);
+});
+
+test('EIP-681 ERC-20 transfers name the token and its base units', () => {
+  // The transfer example of EIP-681
+  const transfer = parsed('ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1');
+  assert.equal(transfer.token, '0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7');
+  assert.equal(transfer.address, '0x8e23ee67d1332ad560396262c48ffbb01f93d052');
+  assert.equal(transfer.amount, '1');
+  assert.equal(parsed('ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7@1/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=2.5e6').amount, '2500000');
+  refused('ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7/approve?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1', /calls approve/);
+  refused('ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7/transfer?uint256=1', /no recipient address/);
+  refused('ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1&value=5', /also sends ETH/);
+});
+
+test('XRPL amounts, destination tags and the ?to= form', () => {
+  const payment = parsed('xrpl:rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf?amount=12.5&dt=42');
+  assert.equal(payment.asset.symbol, 'XRP');
+  assert.equal(payment.address, 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf');
+  assert.equal(payment.amount, '12.5');
+  assert.equal(payment.destinationTag, 42);
+  const legacy = parsed('ripple:?to=rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf&tag=0');
+  assert.equal(legacy.address, 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf');
+  assert.equal(legacy.destinationTag, 0);
+  assert.equal(parsed('xrpl://rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf?dt=4294967295').destinationTag, 4294967295);
+  refused('xrpl:rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf?dt=4294967296', /not a number from 0 to 4294967295/);
+  refused('xrpl:rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf?dt=-1', /destination tag/);
+  refused('xrpl:rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf?amount=0.0000001', /more than 6 decimal places/);
+});
+
+test('formatUnits keeps every digit', () => {
+  assert.equal(formatUnits(123456789012345678901n, 18), '123.456789012345678901');
+  assert.equal(formatUnits(0n, 6), '0');
+  assert.equal(formatUnits(1000000n, 6), '1');
+});
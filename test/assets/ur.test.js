@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UREncoder, URDecoder, URError } = require('../../views/plug-ins/coldwallet/assets/js/ur');
+
+const payload = (length) => Uint8Array.from({ length }, (_, i) => (i * 7 + 3) & 0xff);
+
+// Feed frames from `encoder`, skipping those `drop` picks, until the decoder completes
+function scan(encoder, drop, limit = 1000) {
+  const decoder = new URDecoder();
+  let frames = 0;
+  for (let seq = 1; !decoder.isComplete() && seq <= limit; seq++) {
+    const frame = encoder.nextPart();
+    if (drop(seq)) continue;
+    frames += 1;
+    decoder.receivePart(frame);
+  }
+  assert.ok(decoder.isComplete(), 'decoder did not complete');
+  return { ...decoder.resultUR(), frames };
+}
+
+// The first frames @ngraveio/bc-ur (the BC-UR reference for JavaScript) emits for payload(300),
+// maxFragmentLength 100: four plain fragments, then fountain mixes
+const REFERENCE_FRAMES = [
+  'ur:bytes/1-4/lpadaacfaddlcyrkfhotguhdgshkaddwaxbkbycsctdsdpeefrfwgagdhghyihjzjkknlylomymtntoxpyprrhrtsttotluovlwdwnyazmambtbbcwcpdtdyemfmfegsguhthsisjlkokilrlumonlnbosplrerfsrsgtttpurvawewkzosstnrlya',
+  'ur:bytes/2-4/lpaoaacfaddlcyrkfhotguhdgsaoasbechckdadweoftfpfdgwhfhliejejpkklaltmnmdnsotpkparorsswsntyuyvowlwtylzeahbnbwcycldedlenfsfygrgmhkhniojtkpkelslememkneolpmqzrksasotitsuevwwpwfzsadaybscpincftp',
+  'ur:bytes/3-4/lpaxaacfaddlcyrkfhotguhdgscmcadkdneyesfzflglgohhiaimjskslblnlgmwndoeptpfrlrnsksftetnvyvswsynzcaabdbgcfcxdidmecfnfxgegyhdheiyjnjykglfldmhmsnnonpsqdrdsesptktbutvewmwzytaeatbabzcecnpshklfbt',
+  'ur:bytes/4-4/lpaaaacfaddlcyrkfhotguhdgsdrehetfhfggtghhpidinjoktkblplkmunyoypdperprysssbtdtavtvdwyykztaxbkbycsctdsdpeefrfwgagdhghyihjzjkknlylomymtntoxpyprrhrtsttotluovlwdwnyazmambtbbcwcpdtdyaehgvaontk',
+  'ur:bytes/5-4/lpahaacfaddlcyrkfhotguhdgsiodkcxaehnfzcxdydygdgdhnaevtrttidydytirtvtaehngdgddydycxfzhnaewttitidyaecxrtvtwtjogdgdcxaecxfzgdjowttirtcxaecxtitiwtjohnfzcxaedygdgdjoaevtrtcxdydytititschlftejo',
+  'ur:bytes/6-4/lpamaacfaddlcyrkfhotguhdgsiodkcxaehnfzcxdydygdgdhnaevtrttidydytirtvtaehngdgddydycxfzhnaewttitidyaecxrtvtwtjogdgdcxaecxfzgdjowttirtcxaecxtitiwtjohnfzcxaedygdgdjoaevtrtcxdydytititswssnbdhp'
+];
+
+test('frames match the reference implementation', () => {
+  const encoder = new UREncoder('bytes', payload(300), { maxFragmentLength: 100 });
+  assert.equal(encoder.fragmentsLength, 4);
+  assert.deepEqual(REFERENCE_FRAMES.map(() => encoder.nextPart()), REFERENCE_FRAMES);
+  assert.equal(new UREncoder('bytes', Uint8Array.from([0xde, 0xad, 0xbe, 0xef])).nextPart(), 'ur:bytes/fyuepmrnwsenldkptd');
+});
+
+test('a single-part UR round-trips', () => {
+  const encoder = new UREncoder('crypto-psbt', payload(40));
+  assert.ok(encoder.isSinglePart);
+  const decoder = new URDecoder();
+  assert.equal(decoder.receivePart(encoder.nextPart().toUpperCase()), true); // QR alphanumeric mode
+  assert.deepEqual(decoder.resultUR(), { type: 'crypto-psbt', payload: payload(40) });
+});
+
+test('every plain fragment in order decodes', () => {
+  const encoder = new UREncoder('bytes', payload(1000), { maxFragmentLength: 100 });
+  const result = scan(encoder, () => false);
+  assert.deepEqual(result.payload, payload(1000));
+  assert.equal(result.frames, encoder.fragmentsLength);
+});
+
+test('fountain frames make up for dropped frames', () => {
+  for (const length of [150, 1000, 4321]) {
+    for (const [label, drop] of [
+      ['every other frame', (seq) => seq % 2 === 0],
+      ['the whole first pass', (seq) => seq <= Math.ceil(length / 100) + 2],
+      ['two of every three frames', (seq) => seq % 3 !== 0]
+    ]) {
+      const encoder = new UREncoder('bytes', payload(length), { maxFragmentLength: 100 });
+      assert.deepEqual(scan(encoder, drop).payload, payload(length), `${length} bytes, dropping ${label}`);
+    }
+  }
+});
+
+test('a reference fountain frame recovers a dropped fragment', () => {
+  const decoder = new URDecoder();
+  for (const i of [1, 2, 3, 4]) decoder.receivePart(REFERENCE_FRAMES[i]);
+  assert.ok(decoder.isComplete());
+  assert.deepEqual(decoder.resultUR().payload, payload(300));
+});
+
+test('frames of another payload or type are ignored', () => {
+  const decoder = new URDecoder();
+  const first = new UREncoder('bytes', payload(300), { maxFragmentLength: 100 });
+  const other = new UREncoder('bytes', payload(500), { maxFragmentLength: 100 });
+  assert.equal(decoder.receivePart(first.nextPart()), true);
+  assert.equal(decoder.receivePart(other.nextPart()), false);
+  assert.equal(decoder.receivePart(new UREncoder('crypto-psbt', payload(300), { maxFragmentLength: 100 }).nextPart()), false);
+  assert.equal(decoder.expectedPartCount(), 4);
+  assert.equal(decoder.progress(), 0.25);
+});
+
+test('malformed frames throw URError', () => {
+  const frame = new UREncoder('bytes', payload(40)).nextPart();
+  const corrupted = frame.slice(0, -2) + (frame.endsWith('ab') ? 'ac' : 'ab');
+  assert.throws(() => new URDecoder().receivePart(corrupted), URError);
+  assert.throws(() => new URDecoder().receivePart('ur:bytes/1-x/abcd'), URError);
+  assert.throws(() => new URDecoder().receivePart('not a ur'), URError);
+  assert.throws(() => new UREncoder('Bytes!', payload(4)), URError);
+  assert.throws(() => new UREncoder('bytes', new Uint8Array(0)), URError);
+});
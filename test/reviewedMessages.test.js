@@ -0,0 +1,28 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const reviewedMessages = require('../utils/reviewedMessages');
+const { REVIEW_TTL_MS } = reviewedMessages;
+
+const realNow = Date.now;
+afterEach(() => {
+  Date.now = realNow;
+  reviewedMessages.approved.clear();
+});
+
+test('an approved sighash is signable for its wallet only', () => {
+  reviewedMessages.approve('party-a', ['AB'.repeat(32)]);
+  assert.equal(reviewedMessages.isApproved('party-a', `0x${'ab'.repeat(32)}`), true);
+  assert.equal(reviewedMessages.isApproved('party-b', 'ab'.repeat(32)), false);
+  assert.equal(reviewedMessages.isApproved('party-a', 'cd'.repeat(32)), false);
+});
+
+test('an approval expires after REVIEW_TTL_MS', () => {
+  const start = realNow();
+  Date.now = () => start;
+  reviewedMessages.approve('party-a', ['ab'.repeat(32)]);
+  Date.now = () => start + REVIEW_TTL_MS - 1;
+  assert.equal(reviewedMessages.isApproved('party-a', 'ab'.repeat(32)), true);
+  Date.now = () => start + REVIEW_TTL_MS;
+  assert.equal(reviewedMessages.isApproved('party-a', 'ab'.repeat(32)), false);
+  assert.equal(reviewedMessages.approved.size, 0);
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction, SigHash, OutScript, p2wpkh } = require('@scure/btc-signer');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { base64 } = require('@scure/base');
+const transactionReview = require('../utils/transactionReview');
+const { bytesToHex } = require('../utils/txDecoders/common');
+
+const privateKey = Uint8Array.from(Array(32).fill(7));
+const publicKey = secp256k1.getPublicKey(privateKey, true);
+const spent = p2wpkh(publicKey);
+const wallet = { address: spent.address, network: 'mainnet', publicKey: bytesToHex(publicKey) };
+
+// Two-input PSBT spending the wallet's P2WPKH output, every input with `sighashType` when given
+function psbt(sighashType) {
+  const tx = new Transaction();
+  for (const txid of ['11'.repeat(32), '22'.repeat(32)]) {
+    tx.addInput({
+      txid,
+      index: 0,
+      witnessUtxo: { script: spent.script, amount: 50000n },
+      ...(sighashType === undefined ? {} : { sighashType })
+    });
+  }
+  tx.addOutputAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 90000n);
+  return base64.encode(tx.toPSBT());
+}
+
+function sign(hashes, key = privateKey) {
+  return hashes.map(hash => {
+    const sig = secp256k1.sign(hash, key);
+    return { signature: sig.toCompactHex(), recoveryId: sig.recovery };
+  });
+}
+
+// What a signer would have produced for the PSBT's own hash type, bypassing the decoder's refusal
+function rawSighashes(b64) {
+  const tx = Transaction.fromPSBT(base64.decode(b64));
+  const scriptCode = OutScript.encode({ type: 'pkh', hash: spent.hash });
+  return [0, 1].map(i => bytesToHex(tx.preimageWitnessV0(i, scriptCode, tx.getInput(i).sighashType, 50000n)));
+}
+
+test('a PSBT signed over its reviewed sighashes finalizes', () => {
+  const unsigned = psbt();
+  const { transaction, messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  assert.equal(messagesToSign.length, 2);
+  assert.deepEqual(transaction.details.inputs.map(i => i.sighashType), ['ALL', 'ALL']);
+
+  const result = transactionReview.finalizePsbt('BTC', unsigned, sign(messagesToSign), wallet);
+  assert.match(result.txid, /^[0-9a-f]{64}$/);
+  assert.equal(Transaction.fromRaw(Buffer.from(result.rawTransaction, 'hex')).id, result.txid);
+});
+
+for (const name of ['NONE', 'SINGLE', 'ALL_ANYONECANPAY']) {
+  test(`a SIGHASH_${name} PSBT is refused on import and on finalize, even when validly signed`, () => {
+    const unsigned = psbt(SigHash[name]);
+    assert.throws(() => transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network), { code: 'UNSUPPORTED_SIGHASH' });
+    assert.throws(() => transactionReview.finalizePsbt('BTC', unsigned, sign(rawSighashes(unsigned)), wallet), { code: 'UNSUPPORTED_SIGHASH' });
+  });
+}
+
+test('signatures by another key are refused', () => {
+  const unsigned = psbt();
+  const { messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  const other = Uint8Array.from(Array(32).fill(8));
+  assert.throws(() => transactionReview.finalizePsbt('BTC', unsigned, sign(messagesToSign, other), wallet), { code: 'SIGNATURE_MISMATCH' });
+});
+
+test('signatures that do not recover the recorded group key are refused', () => {
+  const unsigned = psbt();
+  const { messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  const recorded = bytesToHex(secp256k1.getPublicKey(Uint8Array.from(Array(32).fill(9)), true));
+  assert.throws(
+    () => transactionReview.finalizePsbt('BTC', unsigned, sign(messagesToSign), { ...wallet, publicKey: recorded }),
+    { code: 'SIGNATURE_MISMATCH' }
+  );
+});
+
+test('signatures swapped between inputs are refused', () => {
+  const unsigned = psbt();
+  const { messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  assert.throws(() => transactionReview.finalizePsbt('BTC', unsigned, sign(messagesToSign).reverse(), wallet), { code: 'SIGNATURE_MISMATCH' });
+});
+
+test('review refuses messages that are not the transaction sighashes', () => {
+  const unsigned = psbt();
+  const { messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  assert.throws(
+    () => transactionReview.review('BTC', { rawTxBytes: unsigned, messagesToSign: [messagesToSign[1], messagesToSign[0]], ...wallet }),
+    { code: 'SIGHASH_MISMATCH' }
+  );
+  assert.equal(transactionReview.review('BTC', { rawTxBytes: unsigned, messagesToSign, ...wallet }).sighashes.length, 2);
+});
+
+// EIP-155 example (chain 1) and the same payment without the [chainId, 0, 0] suffix
+const EIP155_MAINNET = 'ec098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a764000080018080';
+const EIP155_HASH = 'daf5a779ae972f972197303d7b574746c7ef83eadac0f2791ad23db92e4c8e53';
+const PRE_EIP155 = 'e9098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a764000080';
+const ETH_ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+test('an ETH transaction must carry the wallet network chain ID', () => {
+  const review = (network, rawTxBytes, messagesToSign = [EIP155_HASH]) =>
+    transactionReview.review('ETH', { rawTxBytes, messagesToSign, address: ETH_ADDRESS, network });
+  assert.equal(review('mainnet', EIP155_MAINNET).details.chainId, '1');
+  assert.throws(() => review('sepolia', EIP155_MAINNET), (err) => {
+    assert.equal(err.code, 'NETWORK_MISMATCH');
+    assert.match(err.message, /chain ID 1, but this wallet is on ETH Sepolia \(chain ID 11155111\)/);
+    return true;
+  });
+  const { sighashes } = require('../utils/txDecoders/eth').decode(PRE_EIP155);
+  assert.throws(() => review('mainnet', PRE_EIP155, sighashes), /no chain ID/);
+});
+
+test('the network a transaction QR declares must be the wallet network', () => {
+  const unsigned = psbt();
+  const { messagesToSign } = transactionReview.inspectPsbt('BTC', unsigned, wallet.address, wallet.network);
+  const review = (declared) => transactionReview.review('BTC', { rawTxBytes: unsigned, messagesToSign, ...wallet, declared });
+  assert.equal(review({ network: 'MAINNET' }).asset, 'BTC');
+  assert.throws(() => review({ network: 'testnet' }), { code: 'NETWORK_MISMATCH' });
+  assert.throws(
+    () => transactionReview.review('ETH', { rawTxBytes: EIP155_MAINNET, messagesToSign: [EIP155_HASH], address: ETH_ADDRESS, declared: { chainId: 17000 } }),
+    { code: 'NETWORK_MISMATCH' }
+  );
+});
+
+test('an XRP transaction NetworkID must fit the wallet network', () => {
+  // Payment from r9LqNeG6qHxjeUocjvVki2XR35weJ9mZgQ without NetworkID (see test/txDecoders/xrp.test.js)
+  const payment = '120000228000000024000000016140000000000003E868400000000000000A7321ED5F5AC8B98974A3CA843326D9B88CEBD0560177B973EE0B149F782CFAA06DC66A81145B812C9D57731E27A2DA8B1830195F88EF32A3B68314B5F762798A53D543A014CAF8B297CFF8F2F937E8';
+  const messagesToSign = ['8842f95e0d2d1ae6b0434cf77ce26a37fbb06f7ed6d71b7cad829ccb969e8f66'];
+  for (const network of ['mainnet', 'testnet']) {
+    assert.equal(transactionReview.review('XRP', { rawTxBytes: payment, messagesToSign, address: 'r9LqNeG6qHxjeUocjvVki2XR35weJ9mZgQ', network }).details.NetworkID, null);
+  }
+  assert.throws(
+    () => transactionReview.review('XRP', { rawTxBytes: payment, messagesToSign, address: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh' }),
+    { code: 'ACCOUNT_MISMATCH' }
+  );
+});
+
+test('an unknown network is refused', () => {
+  assert.throws(() => transactionReview.walletNetwork('BTC', 'litecoin'), { code: 'UNKNOWN_NETWORK' });
+  assert.equal(transactionReview.walletNetwork('ETH', 'holesky').chainId, 17000);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction, SigHash, p2wpkh, p2tr } = require('@scure/btc-signer');
+const { secp256k1, schnorr } = require('@noble/curves/secp256k1');
+const { base64 } = require('@scure/base');
+const btc = require('../../utils/txDecoders/btc');
+const { hexToBytes, bytesToHex } = require('../../utils/txDecoders/common');
+
+const key = secp256k1.getPublicKey(Uint8Array.from(Array(32).fill(1)), true);
+const xonly = schnorr.getPublicKey(Uint8Array.from(Array(32).fill(2)));
+const recipient = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+// One-input PSBT spending `spent` (a p2wpkh/p2tr payment) with an optional PSBT_IN_SIGHASH_TYPE
+function psbt(spent, sighashType) {
+  const tx = new Transaction({ allowUnknownOutputs: true });
+  tx.addInput({
+    txid: '11'.repeat(32),
+    index: 0,
+    witnessUtxo: { script: spent.script, amount: 100000n },
+    ...(spent.tapInternalKey ? { tapInternalKey: spent.tapInternalKey } : {}),
+    ...(sighashType === undefined ? {} : { sighashType })
+  });
+  tx.addOutputAddress(recipient, 90000n);
+  return base64.encode(tx.toPSBT());
+}
+
+test('P2WPKH inputs are signed with SIGHASH_ALL, the default', () => {
+  const decoded = btc.decode(psbt(p2wpkh(key)));
+  assert.equal(decoded.details.inputs[0].sighashType, 'ALL');
+  assert.equal(decoded.sighashes.length, 1);
+  assert.equal(btc.decode(psbt(p2wpkh(key), SigHash.ALL)).sighashes[0], decoded.sighashes[0]);
+});
+
+test('P2TR inputs are signed with SIGHASH_DEFAULT or SIGHASH_ALL', () => {
+  assert.equal(btc.decode(psbt(p2tr(xonly))).details.inputs[0].sighashType, 'DEFAULT');
+  assert.equal(btc.decode(psbt(p2tr(xonly), SigHash.ALL)).details.inputs[0].sighashType, 'ALL');
+});
+
+for (const name of ['NONE', 'SINGLE', 'ALL_ANYONECANPAY', 'NONE_ANYONECANPAY', 'SINGLE_ANYONECANPAY']) {
+  test(`a SIGHASH_${name} input is refused`, () => {
+    for (const spent of [p2wpkh(key), p2tr(xonly)]) {
+      assert.throws(() => btc.decode(psbt(spent, SigHash[name])), (err) => {
+        assert.equal(err.code, 'UNSUPPORTED_SIGHASH');
+        assert.equal(err.status, 422);
+        assert.deepEqual(err.details, { index: 0, hashType: SigHash[name] });
+        return true;
+      });
+    }
+  });
+}
+
+test('SIGHASH_DEFAULT is refused outside Taproot', () => {
+  assert.throws(() => btc.decode(psbt(p2wpkh(key), SigHash.DEFAULT)), { code: 'UNSUPPORTED_SIGHASH' });
+});
+
+test('a refused hash type cannot be finalized either', () => {
+  const unsigned = psbt(p2wpkh(key), SigHash.NONE);
+  assert.throws(() => btc.finalize(unsigned, [{ signature: '00'.repeat(64) }]), { code: 'UNSUPPORTED_SIGHASH' });
+});
+
+// BIP-143 "Native P2WPKH" example. Input 0 spends a P2PK output in the BIP; a BIP-143 sighash
+// commits to no other input's script or amount, so a P2WPKH stand-in leaves input 1's hash unchanged
+test('BIP-143 native P2WPKH sighash vector', () => {
+  const unsigned = '0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000';
+  const decoded = btc.decode(unsigned, {
+    prevouts: [
+      { script: bytesToHex(p2wpkh(key).script), amount: '625000000' },
+      { script: '00141d0f172a0ecb48aee1be1f2687d2963ae33f71a1', amount: '600000000' }
+    ]
+  });
+  assert.equal(decoded.sighashes[1], 'c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670');
+  assert.equal(decoded.fee, '8.8921');
+});
+
+// BIP-341 wallet-test-vectors.json, keyPathSpending: the transaction also spends P2PKH and
+// P2WPKH outputs, so the Taproot inputs are hashed one at a time rather than through decode()
+const BIP341_TX = '02000000097de20cbff686da83a54981d2b9bab3586f4ca7e48f57f5b55963115f3b334e9c010000000000000000d7b7cab57b1393ace2d064f4d4a2cb8af6def61273e127517d44759b6dafdd990000000000fffffffff8e1f583384333689228c5d28eac13366be082dc57441760d957275419a418420000000000fffffffff0689180aa63b30cb162a73c6d2a38b7eeda2a83ece74310fda0843ad604853b0100000000feffffffaa5202bdf6d8ccd2ee0f0202afbbb7461d9264a25e5bfd3c5a52ee1239e0ba6c0000000000feffffff956149bdc66faa968eb2be2d2faa29718acbfe3941215893a2a3446d32acd050000000000000000000e664b9773b88c09c32cb70a2a3e4da0ced63b7ba3b22f848531bbb1d5d5f4c94010000000000000000e9aa6b8e6c9de67619e6a3924ae25696bb7b694bb677a632a74ef7eadfd4eabf0000000000ffffffffa778eb6a263dc090464cd125c466b5a99667720b1c110468831d058aa1b82af10100000000ffffffff0200ca9a3b000000001976a91406afd46bcdfd22ef94ac122aa11f241244a37ecc88ac807840cb0000000020ac9a87f5594be208f8532db38cff670c450ed2fea8fcdefcc9a663f78bab962b0065cd1d';
+const BIP341_UTXOS = [
+  ['512053a1f6e454df1aa2776a2814a721372d6258050de330b3c6d10ee8f4e0dda343', 420000000n],
+  ['5120147c9c57132f6e7ecddba9800bb0c4449251c92a1e60371ee77557b6620f3ea3', 462000000n],
+  ['76a914751e76e8199196d454941c45d1b3a323f1433bd688ac', 294000000n],
+  ['5120e4d810fd50586274face62b8a807eb9719cef49c04177cc6b76a9a4251d5450e', 504000000n],
+  ['512091b64d5324723a985170e4dc5a0f84c041804f2cd12660fa5dec09fc21783605', 630000000n],
+  ['00147dd65592d0ab2fe0d0257d571abf032cd9db93dc', 378000000n],
+  ['512075169f4001aa68f15bbed28b218df1d0a62cbbcf1188c6665110c293c907b831', 672000000n],
+  ['5120712447206d7a5238acc7ff53fbe94a3b64539ad291c7cdbc490b7577e4b17df5', 546000000n],
+  ['512077e30a5522dd9f894c3f8b8bd4c4b2cf82ca7da8a3ea6a239655c39c050ab220', 588000000n]
+].map(([script, amount]) => ({ script: hexToBytes(script), amount }));
+
+function bip341(index, hashType) {
+  const tx = Transaction.fromRaw(hexToBytes(BIP341_TX), { allowUnknownOutputs: true, disableScriptCheck: true });
+  tx.updateInput(index, { sighashType: hashType }, true);
+  return bytesToHex(btc.sighash(tx, index, BIP341_UTXOS));
+}
+
+test('BIP-341 key path sighash vectors for SIGHASH_ALL and SIGHASH_DEFAULT', () => {
+  assert.equal(bip341(3, SigHash.ALL), 'bf013ea93474aa67815b1b6cc441d23b64fa310911d991e713cd34c7f5d46669');
+  assert.equal(bip341(4, SigHash.DEFAULT), '4f900a0bae3f1446fd48490c2958b5a023228f01661cda3496a11da502a7f7ef');
+});
+
+test('the BIP-341 vector inputs with other hash types are refused', () => {
+  for (const [index, hashType] of [[0, SigHash.SINGLE], [1, SigHash.SINGLE_ANYONECANPAY], [6, SigHash.NONE], [7, SigHash.NONE_ANYONECANPAY], [8, SigHash.ALL_ANYONECANPAY]]) {
+    assert.throws(() => bip341(index, hashType), { code: 'UNSUPPORTED_SIGHASH' });
+  }
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const eth = require('../../utils/txDecoders/eth');
+
+// EIP-155 example: nonce 9, 20 gwei, 21000 gas, 1 ETH to 0x3535…35 on chain 1
+test('EIP-155 signing data and hash from the EIP', () => {
+  const decoded = eth.decode('0xec098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a764000080018080');
+  assert.equal(decoded.sighashes[0], 'daf5a779ae972f972197303d7b574746c7ef83eadac0f2791ad23db92e4c8e53');
+  assert.deepEqual(decoded.recipients, [{ address: '0x3535353535353535353535353535353535353535', amount: '1' }]);
+  assert.equal(decoded.fee, '0.00042');
+  assert.equal(decoded.details.chainId, '1');
+  assert.equal(decoded.details.nonce, '9');
+});
+
+// EIP-1559 payloads and hashes cross-checked with ethers v6 (Transaction#unsignedSerialized / unsignedHash)
+test('EIP-1559 transfer', () => {
+  const decoded = eth.decode('0x02f0012a8459682f008506fc23ac0082520894d8da6bf26964af9d7eed9e03e53415d37aa9604588016345785d8a000080c0');
+  assert.equal(decoded.sighashes[0], '5b3d52cc22ac2874399ebf00e9962f14c13cf37af01a27b8a4fd2e45585077aa');
+  assert.deepEqual(decoded.recipients, [{ address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045', amount: '0.1' }]);
+  assert.equal(decoded.fee, '0.00063'); // 21000 × 30 gwei max fee
+  assert.equal(decoded.details.type, 2);
+  assert.equal(decoded.details.nonce, '42');
+  assert.equal(decoded.details.maxPriorityFeePerGas, '1500000000');
+});
+
+test('EIP-1559 ERC-20 transfer on Sepolia', () => {
+  const decoded = eth.decode('0x02f87083aa36a7038477359400850ba43b740082fde894dac17f958d2ee523a2206206994597c13d831ec780b844a9059cbb000000000000000000000000fb6916095ca1df60bb79ce92ce3ea74c37c5d35900000000000000000000000000000000000000000000000000000000002625a0c0');
+  assert.equal(decoded.sighashes[0], '812571fd68c1a0e879dcb171a414045f39b51f83ecfd1eb52dd21f73bf6898b7');
+  assert.equal(decoded.details.chainId, '11155111');
+  assert.deepEqual(decoded.details.token, {
+    contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+    to: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    amount: '2500000'
+  });
+});
+
+test('a signed legacy transaction is refused', () => {
+  // The EIP-155 example signed with v = 37
+  const signed = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83';
+  assert.throws(() => eth.decode(signed), /unsigned Ethereum transaction/);
+});
+
+test('EIP-55 checksum addresses', () => {
+  for (const address of [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+  ]) {
+    assert.equal(eth.toChecksumAddress(Buffer.from(address.slice(2), 'hex')), address);
+  }
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const xrp = require('../../utils/txDecoders/xrp');
+
+// Serializations and SHA-512Half(STX\0 ‖ tx) cross-checked with ripple-binary-codec (encode / encodeForSigning)
+test('XRP payment signing hash', () => {
+  const decoded = xrp.decode('120000228000000024000000016140000000000003E868400000000000000A7321ED5F5AC8B98974A3CA843326D9B88CEBD0560177B973EE0B149F782CFAA06DC66A81145B812C9D57731E27A2DA8B1830195F88EF32A3B68314B5F762798A53D543A014CAF8B297CFF8F2F937E8');
+  assert.equal(decoded.sighashes[0], '8842f95e0d2d1ae6b0434cf77ce26a37fbb06f7ed6d71b7cad829ccb969e8f66');
+  assert.equal(decoded.from, 'r9LqNeG6qHxjeUocjvVki2XR35weJ9mZgQ');
+  assert.deepEqual(decoded.recipients, [{ address: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', amount: '0.001', currency: undefined }]);
+  assert.equal(decoded.fee, '0.00001');
+  assert.equal(decoded.details.Sequence, 1);
+  assert.equal(decoded.details.Flags, 2147483648);
+});
+
+test('XRP issued-currency payment with destination tag and network ID', () => {
+  const decoded = xrp.decode('120000210000535A220000000024000000072E0000002A201B0089544061D4C470DE4DF8200000000000000000000000000055534400000000000A20B3C85F482532A9578DBB3950B85CA06594D168400000000000000C732103AB40A0490F9B7ED8DF29D246BF2D6269820A0EE7742ACDD457BEA7C7D0931EDB8114B5F762798A53D543A014CAF8B297CFF8F2F937E88314F667B0CA50CC7709A220B0561B85E53A48461FA8');
+  assert.equal(decoded.sighashes[0], 'eb0863ab7b6bcafdc1bfc70e4493609492a55f98f0484d0a086484a2c3293cde');
+  assert.deepEqual(decoded.recipients, [{ address: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe', amount: '12.5', currency: 'USD' }]);
+  assert.equal(decoded.details.DestinationTag, 42);
+  assert.equal(decoded.details.NetworkID, 21338);
+  assert.equal(decoded.details.LastLedgerSequence, 9000000);
+  assert.equal(decoded.fee, '0.000012');
+});
+
+test('a signed XRP transaction is refused', () => {
+  // TxnSignature (Blob field 4) appended
+  const signed = '120000228000000024000000016140000000000003E868400000000000000A7321ED5F5AC8B98974A3CA843326D9B88CEBD0560177B973EE0B149F782CFAA06DC66A7440' + 'AB'.repeat(64) + '81145B812C9D57731E27A2DA8B1830195F88EF32A3B68314B5F762798A53D543A014CAF8B297CFF8F2F937E8';
+  assert.throws(() => xrp.decode(signed), /already signed/);
+});
+
+test('AccountIDs encode to classic addresses', () => {
+  assert.equal(xrp.encodeAccountId(new Uint8Array(20)), 'rrrrrrrrrrrrrrrrrrrrrhoLvTp');
+  assert.equal(xrp.encodeAccountId(Buffer.from('B5F762798A53D543A014CAF8B297CFF8F2F937E8', 'hex')), 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh');
+});
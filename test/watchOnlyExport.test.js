@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { p2wpkh, p2tr, NETWORK, TEST_NETWORK } = require('@scure/btc-signer');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { buildWatchOnlyExport, outputDescriptor, withChecksum } = require('../utils/watchOnlyExport');
+const { bytesToHex } = require('../utils/txDecoders/common');
+
+// BIP-380 checksums: raw(deadbeef) from BIP-380, the wpkh and tr keys from BIP-382 and BIP-386,
+// the pkh descriptor from Bitcoin Core's doc/descriptors.md
+test('BIP-380 checksum vectors', () => {
+  assert.equal(withChecksum('raw(deadbeef)'), 'raw(deadbeef)#89f8spxm');
+  assert.equal(
+    withChecksum('wpkh(02f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9)'),
+    'wpkh(02f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9)#8zl0zxma'
+  );
+  assert.equal(
+    withChecksum('tr(a34b99f22c790c4e36b2b3c2c35a36db06226e41c692fc82b8b56ac1c540c5bd)'),
+    'tr(a34b99f22c790c4e36b2b3c2c35a36db06226e41c692fc82b8b56ac1c540c5bd)#dh4fyxrd'
+  );
+  assert.equal(
+    withChecksum("pkh([d34db33f/44'/0'/0']xpub6ERApfZwUNrhLCkDtcHTcxd75RbzS1ed54G1LkBUHQVHQKqhMkhgbmJbZRkrgZw4koxb5JaHWkY4ALHY2grBGRjaDMzQLcgJvLJuZZvRcEL/1/*)"),
+    "pkh([d34db33f/44'/0'/0']xpub6ERApfZwUNrhLCkDtcHTcxd75RbzS1ed54G1LkBUHQVHQKqhMkhgbmJbZRkrgZw4koxb5JaHWkY4ALHY2grBGRjaDMzQLcgJvLJuZZvRcEL/1/*)#ml40v0wf"
+  );
+});
+
+test('characters outside the descriptor charset are refused', () => {
+  assert.throws(() => withChecksum('raw(deadbeef)\n'), /Invalid descriptor character/);
+  assert.throws(() => withChecksum('addr(é)'), /Invalid descriptor character/);
+});
+
+const key = secp256k1.getPublicKey(Uint8Array.from(Array(32).fill(3)), true);
+const publicKey = bytesToHex(key);
+
+test('the descriptor follows the address type', () => {
+  assert.equal(outputDescriptor(p2wpkh(key).address, publicKey), withChecksum(`wpkh(${publicKey})`));
+  assert.equal(outputDescriptor(p2tr(key.slice(1)).address, publicKey), withChecksum(`tr(${publicKey.slice(2)})`));
+  const testnet = p2tr(key.slice(1), undefined, TEST_NETWORK).address;
+  assert.equal(outputDescriptor(testnet, publicKey, TEST_NETWORK), withChecksum(`tr(${publicKey.slice(2)})`));
+  assert.equal(outputDescriptor(p2wpkh(key, NETWORK).address, null), withChecksum(`addr(${p2wpkh(key).address})`));
+});
+
+test('BTC export carries the network and descriptor', () => {
+  const address = p2wpkh(key, TEST_NETWORK).address;
+  const exported = buildWatchOnlyExport({
+    partyGUID: 'party-1', walletName: 'Vault', asset: 'BTC', network: 'testnet', address,
+    groupPublicKey: publicKey, threshold: 2, size: 3
+  });
+  assert.deepEqual(exported, {
+    format: 'coldwallet-watch-only',
+    version: 1,
+    partyGUID: 'party-1',
+    walletName: 'Vault',
+    asset: 'BTC',
+    network: 'testnet',
+    address,
+    threshold: 2,
+    size: 3,
+    publicKey,
+    descriptor: withChecksum(`wpkh(${publicKey})`)
+  });
+});
+
+test('ETH export carries the chain ID and no descriptor', () => {
+  const exported = buildWatchOnlyExport({
+    partyGUID: 'party-2', asset: 'ETH', network: 'sepolia', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    groupPublicKey: publicKey, threshold: 2, size: 2
+  });
+  assert.equal(exported.chainId, 11155111);
+  assert.equal(exported.walletName, null);
+  assert.equal('descriptor' in exported, false);
+});
@@ -0,0 +1,199 @@
+const networkDetector = require('./networkDetection');
+const ceremonyJournal = require('./ceremonyJournal');
+const { TssOrchestratorError } = require('./tssOrchestrator');
+
+// Signing sessions nobody finished (the UI restarted or abandoned them) are forgotten after this
+const SESSION_MAX_AGE_MS = 60 * 60 * 1000;
+// A ceremony with no step for this long was abandoned: it stays in progress in the journal
+// (resuming it registers it again) but is no longer watched
+const CEREMONY_IDLE_MS = 30 * 60 * 1000;
+
+/**
+ * What the detector found, for reasons and logs: "wlan0 192.168.1.20, default route"
+ * @param {Object} detection networkDetector.detect() result
+ * @returns {string}
+ */
+function describeNetwork(detection) {
+  const found = (detection.interfaces || []).map(i => `${i.name} ${i.address}`)
+    .concat((detection.radios || []).map(r => `${r.name} (${r.kind}, ${r.state})`));
+  if (detection.gateway) found.push('default route');
+  return found.length ? found.join(', ') : 'network connectivity';
+}
+
+/**
+ * ActiveOperations - The ceremonies and signing sessions the /api/tss proxy is running
+ * While any is open the network detector is watched. When a network appears, every in-flight
+ * orchestrator call is aborted (the proxy answers 503 NETWORK_DETECTED), running ceremonies are
+ * paused (they stay in progress, with the reason in the journal, so they can be resumed offline)
+ * and open signing sessions are aborted: a later signature for one of them is refused.
+ * A ceremony is open from its first step until its journal entry completes or is aborted, or
+ * until it has been idle for CEREMONY_IDLE_MS.
+ */
+class ActiveOperations {
+  constructor() {
+    this.calls = new Set(); // AbortControllers of in-flight orchestrator calls
+    this.ceremonies = new Map(); // partyGUID -> idle timer
+    this.sessions = new Map(); // sessionID -> { partyGUID, openedAt }
+    this.abortedSessions = new Map(); // sessionID -> { reason, abortedAt }
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Signal for an orchestrator call made for a request: aborted when the browser goes away
+   * (plain abort) or a network appears (abort reason: NETWORK_DETECTED TssOrchestratorError)
+   * @param {Response} res
+   * @returns {AbortSignal}
+   */
+  signalFor(res) {
+    const controller = new AbortController();
+    this.calls.add(controller);
+    this._watch();
+    res.on('close', () => {
+      this.calls.delete(controller);
+      if (!res.writableFinished) controller.abort();
+      this._unwatchIfIdle();
+    });
+    return controller.signal;
+  }
+
+  /**
+   * A ceremony step ran (or a resumed ceremony's first one): the ceremony is open until its
+   * journal entry completes or is aborted, or it goes idle
+   * @param {string} partyGUID
+   */
+  ceremonyRunning(partyGUID) {
+    if (!partyGUID) return;
+    const id = String(partyGUID);
+    clearTimeout(this.ceremonies.get(id));
+    this.ceremonies.set(id, setTimeout(() => {
+      console.warn(`Ceremony ${id} idle for ${CEREMONY_IDLE_MS / 60000} minutes: no longer watched (resume it to continue)`);
+      this.ceremonyEnded(id);
+    }, CEREMONY_IDLE_MS));
+    this._watch();
+  }
+
+  /**
+   * @param {string} partyGUID
+   */
+  ceremonyEnded(partyGUID) {
+    const id = String(partyGUID);
+    clearTimeout(this.ceremonies.get(id));
+    this.ceremonies.delete(id);
+    this._unwatchIfIdle();
+  }
+
+  /**
+   * @param {string} sessionID
+   * @param {string} partyGUID
+   */
+  sessionOpened(sessionID, partyGUID) {
+    this._pruneSessions();
+    this.sessions.set(String(sessionID), { partyGUID: String(partyGUID), openedAt: Date.now() });
+    this._watch();
+  }
+
+  /**
+   * The session reached its threshold
+   * @param {string} sessionID
+   */
+  sessionClosed(sessionID) {
+    this.sessions.delete(String(sessionID));
+    this._unwatchIfIdle();
+  }
+
+  /**
+   * Refuse further signatures for a session (a network appeared, or a card other than the
+   * member's signed: the orchestrator may already have counted it)
+   * @param {string} sessionID
+   * @param {string} reason
+   */
+  abortSession(sessionID, reason) {
+    this._pruneSessions();
+    this.sessions.delete(String(sessionID));
+    this.abortedSessions.set(String(sessionID), { reason, abortedAt: Date.now() });
+    this._unwatchIfIdle();
+  }
+
+  /**
+   * @param {string} sessionID
+   * @returns {string|null} partyGUID the open session was created for, or null when it is not open
+   */
+  sessionParty(sessionID) {
+    this._pruneSessions();
+    const session = this.sessions.get(String(sessionID));
+    return session ? session.partyGUID : null;
+  }
+
+  /**
+   * @param {string} sessionID
+   * @returns {string|null} why the session was aborted, or null if it was not
+   */
+  sessionAborted(sessionID) {
+    const aborted = this.abortedSessions.get(String(sessionID));
+    return aborted ? aborted.reason : null;
+  }
+
+  /**
+   * What is running now (utils/networkIncidentLog.js records it with each transition)
+   * @returns {Object} { ceremonies: [partyGUID], sessions: [{ sessionID, partyGUID }], calls }
+   */
+  snapshot() {
+    return {
+      ceremonies: [...this.ceremonies.keys()],
+      sessions: [...this.sessions].map(([sessionID, s]) => ({ sessionID, partyGUID: s.partyGUID })),
+      calls: this.calls.size
+    };
+  }
+
+  /**
+   * Stop everything that is running because a network appeared
+   * @param {Object} detection networkDetector.detect() result
+   * @returns {Promise<Object>} { reason, calls, ceremonies, sessions } what was stopped
+   */
+  async halt(detection) {
+    const reason = `Network detected (${describeNetwork(detection)}) at ${detection.timestamp}`;
+    const error = new TssOrchestratorError(`${reason}: the operation was stopped`, { code: 'NETWORK_DETECTED', status: 503 });
+
+    const calls = [...this.calls];
+    const ceremonies = [...this.ceremonies.keys()];
+    const sessions = [...this.sessions.keys()];
+    ceremonies.forEach(partyGUID => this.ceremonyEnded(partyGUID));
+    calls.forEach(controller => controller.abort(error));
+    sessions.forEach(id => this.abortSession(id, reason));
+    await Promise.all(ceremonies.map(partyGUID => ceremonyJournal.paused(partyGUID, `Paused: ${reason}`)));
+
+    if (calls.length || ceremonies.length || sessions.length) {
+      console.warn(`⚠️  ${reason}: aborted ${calls.length} orchestrator call(s), ` +
+        `paused ${ceremonies.length} ceremony(ies)${ceremonies.length ? ` (${ceremonies.join(', ')})` : ''}, ` +
+        `aborted ${sessions.length} signing session(s)${sessions.length ? ` (${sessions.join(', ')})` : ''}`);
+    }
+    this._unwatchIfIdle();
+    return { reason, calls: calls.length, ceremonies, sessions };
+  }
+
+  _watch() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = networkDetector.subscribe((detection) => {
+      if (!detection.hasNetwork) return;
+      this.halt(detection).catch(err => console.error('Stopping operations on network detection failed:', err.message));
+    });
+  }
+
+  _unwatchIfIdle() {
+    if (!this.unsubscribe || this.calls.size || this.ceremonies.size || this.sessions.size) return;
+    this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  _pruneSessions() {
+    const cutoff = Date.now() - SESSION_MAX_AGE_MS;
+    for (const [id, session] of this.sessions) {
+      if (session.openedAt < cutoff) this.sessions.delete(id);
+    }
+    for (const [id, aborted] of this.abortedSessions) {
+      if (aborted.abortedAt < cutoff) this.abortedSessions.delete(id);
+    }
+  }
+}
+
+module.exports = new ActiveOperations();
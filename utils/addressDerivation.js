@@ -0,0 +1,144 @@
+const { p2wpkh, p2tr, Address, NETWORK } = require('@scure/btc-signer');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { sha256 } = require('@noble/hashes/sha256');
+const { ripemd160 } = require('@noble/hashes/ripemd160');
+const { toChecksumAddress } = require('./txDecoders/eth');
+const { encodeAccountId } = require('./txDecoders/xrp');
+const assetRegistry = require('./assetRegistry');
+
+/**
+ * Wallet addresses from a secp256k1 public key, by the asset's address format (config/assets.js)
+ * bitcoin: P2WPKH (bc1q…) or key-path P2TR (bc1p…, BIP-86 tweak) with the wallet network's prefixes;
+ * evm: EIP-55; xrpl: classic r-address (the same on every network)
+ */
+
+function hash160(bytes) {
+  return ripemd160(sha256(bytes));
+}
+
+/**
+ * @param {string} asset registered asset
+ * @returns {string|null} address format (bitcoin | evm | xrpl), or null if the asset is not supported
+ */
+function addressFormat(asset) {
+  const entry = assetRegistry.get(asset);
+  return entry ? entry.address.format : null;
+}
+
+/**
+ * Network parameters of a bitcoin-format wallet (bech32 HRP, base58 versions: a @scure/btc-signer network)
+ * @param {string} asset
+ * @param {string} [network] network name (default: the asset's default network)
+ * @returns {Object|null} null for other address formats
+ */
+function bitcoinNetwork(asset, network) {
+  if (addressFormat(asset) !== 'bitcoin') return null;
+  const params = assetRegistry.network(asset, network);
+  if (!params) throw new Error(`${asset} has no network ${network}`);
+  return params;
+}
+
+/**
+ * @param {string} asset registered asset, e.g. BTC
+ * @param {Uint8Array} publicKey compressed (33-byte) key
+ * @param {Object} [opts]
+ * @param {boolean} [opts.taproot] bitcoin: P2TR instead of P2WPKH
+ * @param {string} [opts.network] wallet network (default: the asset's default network)
+ * @returns {string}
+ */
+function deriveAddress(asset, publicKey, { taproot = false, network } = {}) {
+  const entry = assetRegistry.get(asset);
+  switch (entry && entry.address.format) {
+    case 'bitcoin': {
+      const params = bitcoinNetwork(asset, network);
+      return taproot ? p2tr(publicKey.slice(1), undefined, params).address : p2wpkh(publicKey, params).address;
+    }
+    case 'evm': {
+      const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+      return toChecksumAddress(keccak_256(uncompressed.slice(1)).slice(-20));
+    }
+    case 'xrpl':
+      return encodeAccountId(hash160(publicKey));
+    default:
+      throw new Error(`No address derivation for asset ${asset}`);
+  }
+}
+
+/**
+ * BTC Taproot output key of a bc1p… (tb1p…, …) address (Schnorr signatures verify against it), else null
+ * @param {string} address
+ * @param {Object} [network] @scure/btc-signer network of the wallet (default: mainnet)
+ * @returns {Uint8Array|null}
+ */
+function taprootOutputKey(address, network = NETWORK) {
+  try {
+    const decoded = Address(network).decode(address);
+    return decoded.type === 'tr' ? decoded.pubkey : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Whether `publicKey` is the key behind `address`
+ * (evm addresses compare case-insensitively: checksum casing is checked where addresses are entered)
+ * @param {string} asset
+ * @param {Uint8Array} publicKey compressed key
+ * @param {string} address
+ * @param {string} [network] wallet network
+ * @returns {boolean}
+ */
+function ownsAddress(asset, publicKey, address, network) {
+  const wanted = String(address || '').trim();
+  const params = bitcoinNetwork(asset, network);
+  const taproot = !!params && !!taprootOutputKey(wanted, params);
+  const derived = deriveAddress(asset, publicKey, { taproot, network });
+  return addressFormat(asset) === 'evm' ? derived.toLowerCase() === wanted.toLowerCase() : derived === wanted;
+}
+
+/**
+ * Parse a group public key as reported by the orchestrator
+ * @param {string} hex compressed (33-byte) or uncompressed (65-byte) secp256k1 key, optional 0x
+ * @returns {Uint8Array} compressed key
+ * @throws {Error} not a point on secp256k1
+ */
+function parsePublicKey(hex) {
+  const clean = String(hex || '').trim().replace(/^0x/i, '');
+  try {
+    return secp256k1.ProjectivePoint.fromHex(clean).toRawBytes(true);
+  } catch (_) {
+    throw new Error('Group public key is not a valid secp256k1 key');
+  }
+}
+
+/**
+ * Derive the wallet address from its group key and compare it with the orchestrator's
+ * (BTC derives P2TR when the reported address is bc1p…, else P2WPKH)
+ * @param {string} asset
+ * @param {string} publicKeyHex group key (hex)
+ * @param {string} [reportedAddress] address the orchestrator returned
+ * @param {string} [network] wallet network
+ * @returns {{ publicKey: string, address: string, matches: boolean }} compressed key (hex), derived address
+ */
+function checkGroupAddress(asset, publicKeyHex, reportedAddress, network) {
+  const publicKey = parsePublicKey(publicKeyHex);
+  const reported = String(reportedAddress || '').trim();
+  const params = bitcoinNetwork(asset, network);
+  const address = deriveAddress(asset, publicKey, { taproot: !!params && !!taprootOutputKey(reported, params), network });
+  return {
+    publicKey: Buffer.from(publicKey).toString('hex'),
+    address,
+    matches: !reported || ownsAddress(asset, publicKey, reported, network)
+  };
+}
+
+module.exports = {
+  deriveAddress,
+  addressFormat,
+  bitcoinNetwork,
+  taprootOutputKey,
+  ownsAddress,
+  parsePublicKey,
+  checkGroupAddress
+};
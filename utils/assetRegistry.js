@@ -0,0 +1,130 @@
+const ASSETS = require('../config/assets');
+const addressValidation = require('../views/plug-ins/coldwallet/assets/js/addressValidation');
+
+// Transaction decoder implementations an entry's `decoder` can name (an EVM chain reuses eth)
+const DECODERS = {
+  btc: require('./txDecoders/btc'),
+  eth: require('./txDecoders/eth'),
+  xrp: require('./txDecoders/xrp')
+};
+
+const REQUIRED_FIELDS = ['symbol', 'name', 'icon', 'decimals', 'curve', 'uriSchemes', 'address', 'decoder'];
+const CURVES = ['secp256k1'];
+
+/**
+ * AssetRegistry - The supported assets (config/assets.js) and everything derived from them
+ * Models, routes, the address checks and the transaction decoders look assets up here instead of
+ * listing BTC/ETH/XRP; the Cold Wallet view gets list() for its cards, URI parsing, address checks and QR fields.
+ * A wallet lives on one of its asset's networks; `preferredNetwork` (BLOCKCHAIN_NETWORK) is preselected
+ * for every asset that has a network of that name.
+ */
+class AssetRegistry {
+  constructor(entries, { preferredNetwork = null } = {}) {
+    this.assets = new Map();
+    this.preferredNetwork = preferredNetwork || null;
+    entries.forEach(entry => this.register(entry));
+
+    if (this.preferredNetwork && !this.list().some(a => a.address.defaultNetwork === this.preferredNetwork)) {
+      console.warn(`BLOCKCHAIN_NETWORK=${this.preferredNetwork} is not a network of any asset; using each asset's default`);
+    }
+  }
+
+  /**
+   * Add an asset
+   * @param {Object} entry see config/assets.js
+   * @throws {Error} incomplete entry, duplicate symbol, or a curve/address format/decoder nothing supports
+   */
+  register(entry) {
+    const missing = REQUIRED_FIELDS.filter(f => entry[f] === undefined || entry[f] === null);
+    if (missing.length) throw new Error(`Asset ${entry.symbol || '?'} is missing ${missing.join(', ')}`);
+
+    const symbol = String(entry.symbol).toUpperCase();
+    if (this.assets.has(symbol)) throw new Error(`Asset ${symbol} is registered twice`);
+    if (!CURVES.includes(entry.curve)) throw new Error(`Asset ${symbol}: unsupported curve ${entry.curve}`);
+    if (!addressValidation.FORMATS.includes(entry.address.format)) {
+      throw new Error(`Asset ${symbol}: unsupported address format ${entry.address.format}`);
+    }
+    if (!DECODERS[entry.decoder]) throw new Error(`Asset ${symbol}: unknown decoder ${entry.decoder}`);
+    if (!entry.address.networks || !entry.address.networks[entry.address.defaultNetwork]) {
+      throw new Error(`Asset ${symbol}: defaultNetwork ${entry.address.defaultNetwork} is not one of its networks`);
+    }
+
+    const networks = entry.address.networks;
+    this.assets.set(symbol, {
+      ...entry,
+      symbol,
+      uriSchemes: entry.uriSchemes.map(s => String(s).toLowerCase()),
+      address: {
+        ...entry.address,
+        defaultNetwork: networks[this.preferredNetwork] ? this.preferredNetwork : entry.address.defaultNetwork
+      }
+    });
+  }
+
+  /** @returns {string[]} registered symbols, in registration order */
+  symbols() {
+    return [...this.assets.keys()];
+  }
+
+  /** @returns {Object[]} registered entries */
+  list() {
+    return [...this.assets.values()];
+  }
+
+  /**
+   * @param {string} symbol case-insensitive
+   * @returns {Object|null} entry, or null if the asset is not supported
+   */
+  get(symbol) {
+    return this.assets.get(String(symbol || '').toUpperCase()) || null;
+  }
+
+  /**
+   * Network parameters of an asset (prefixes, label, chainId/networkId)
+   * @param {string} symbol
+   * @param {string} [network] network name (default: the asset's default network)
+   * @returns {Object|null} { name, label, ... }, or null if the asset or network is not supported
+   */
+  network(symbol, network) {
+    const asset = this.get(symbol);
+    if (!asset) return null;
+    const name = network || asset.address.defaultNetwork;
+    const params = asset.address.networks[name];
+    return params ? { ...params, name } : null;
+  }
+
+  /**
+   * Asset a payment-URI scheme stands for ("bitcoin" -> BTC)
+   * @param {string} scheme without the colon
+   * @returns {Object|null}
+   */
+  forUriScheme(scheme) {
+    const wanted = String(scheme || '').toLowerCase();
+    return this.list().find(a => a.uriSchemes.includes(wanted)) || null;
+  }
+
+  /**
+   * Transaction decoder module of an asset (utils/txDecoders/<decoder>.js)
+   * @param {string} symbol
+   * @returns {Object|null} { decode, ... }, or null if the asset is not supported
+   */
+  decoder(symbol) {
+    const asset = this.get(symbol);
+    return asset ? DECODERS[asset.decoder] : null;
+  }
+
+  /**
+   * Check an address's format and checksum for an asset (assets/js/addressValidation.js)
+   * @param {string} symbol
+   * @param {string} address
+   * @param {Object} [opts] { network }
+   * @returns {Object} { valid: true, ... } or { valid: false, error }
+   */
+  validateAddress(symbol, address, opts) {
+    const asset = this.get(symbol);
+    if (!asset) return { valid: false, error: `Unsupported asset ${symbol}` };
+    return addressValidation.validateAddress(asset, address, opts);
+  }
+}
+
+module.exports = new AssetRegistry(ASSETS, { preferredNetwork: process.env.BLOCKCHAIN_NETWORK });
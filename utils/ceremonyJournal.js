@@ -0,0 +1,173 @@
+const { Ceremony } = require('../models');
+const { withDbRetry } = require('./dbRetry');
+
+/**
+ * CeremonyJournal - Records wallet-creation ceremony progress in SQLite
+ * Called by the /api/tss proxy after each successful orchestrator step, so the
+ * server (not the browser) holds the state needed to resume after a reload or power loss.
+ * Journal failures are logged and never fail the proxied request.
+ */
+class CeremonyJournal {
+  /**
+   * Party created: open a journal entry
+   * @param {string} partyGUID
+   * @param {Object} params { asset, network, size, threshold, walletName }
+   */
+  async partyCreated(partyGUID, { asset, network, size, threshold, walletName }) {
+    await this._write('party created', () => Ceremony.create({
+      partyGUID: String(partyGUID),
+      walletName: walletName || null,
+      asset,
+      network,
+      size,
+      threshold
+    }));
+  }
+
+  /**
+   * Members added to the party
+   * @param {string} partyGUID
+   * @param {Object[]} members orchestrator members ({ id, externalPartyMemberID, name, label })
+   */
+  async membersAdded(partyGUID, members) {
+    await this._update('members added', { partyGUID: String(partyGUID) }, (ceremony) => ({
+      stage: 'enrolling',
+      members: ceremony.members.concat((members || []).map(m => ({
+        memberGUID: String(m.id),
+        externalPartyMemberID: m.externalPartyMemberID || null,
+        label: m.label || m.name,
+        serialNumber: null,
+        authorized: false,
+        shareSaved: false
+      })))
+    }));
+  }
+
+  /**
+   * Member PIN checked on its Toughkey
+   * @param {string} memberGUID
+   * @param {string|null} serialNumber serial reported by the orchestrator
+   */
+  async memberAuthorized(memberGUID, serialNumber) {
+    await this._updateMember('member authorized', memberGUID, () => ({
+      authorized: true,
+      serialNumber: serialNumber || null
+    }));
+  }
+
+  /**
+   * Activation started: shares are about to be saved
+   * @param {string} partyGUID
+   */
+  async activationStarted(partyGUID) {
+    await this._update('activation started', { partyGUID: String(partyGUID) }, () => ({ stage: 'saving' }));
+  }
+
+  /**
+   * Member share saved on its Toughkey
+   * @param {string} memberGUID
+   */
+  async shareSaved(memberGUID) {
+    await this._updateMember('share saved', memberGUID, () => ({ shareSaved: true }), (members) => (
+      members.every(m => m.shareSaved) ? { stage: 'finalizing' } : {}
+    ));
+  }
+
+  /**
+   * Activation ended: the wallet exists
+   * @param {string} partyGUID
+   * @param {string|null} address
+   * @param {string|null} [groupPublicKey] compressed group key (hex)
+   */
+  async activationEnded(partyGUID, address, groupPublicKey = null) {
+    await this._update('activation ended', { partyGUID: String(partyGUID) }, () => ({
+      status: 'completed',
+      address: address || null,
+      groupPublicKey: groupPublicKey || null
+    }));
+  }
+
+  /**
+   * Ceremony stopped without ending (a network appeared): it stays in progress and resumable,
+   * `statusReason` tells the operator why it stopped
+   * @param {string} partyGUID
+   * @param {string} reason
+   */
+  async paused(partyGUID, reason) {
+    await this._update('ceremony paused', { partyGUID: String(partyGUID) }, () => ({ statusReason: reason }));
+    console.log(`[Ceremony] ${partyGUID} paused (${reason})`);
+  }
+
+  /**
+   * Ceremonies that were never completed or aborted, oldest first
+   * @returns {Promise<Ceremony[]>}
+   */
+  async findInterrupted() {
+    return Ceremony.findAll({ where: { status: 'in_progress' }, order: [['createdAt', 'ASC']] });
+  }
+
+  /**
+   * In-progress ceremony for a party
+   * @param {string} partyGUID
+   * @returns {Promise<Ceremony|null>}
+   */
+  async findInProgress(partyGUID) {
+    return Ceremony.findOne({ where: { partyGUID: String(partyGUID), status: 'in_progress' } });
+  }
+
+  /**
+   * In-progress ceremony that holds a member
+   * @param {string} memberGUID
+   * @returns {Promise<Ceremony|null>}
+   */
+  async findInProgressForMember(memberGUID) {
+    const ceremonies = await Ceremony.findAll({ where: { status: 'in_progress' } });
+    return ceremonies.find(c => c.members.some(m => m.memberGUID === String(memberGUID))) || null;
+  }
+
+  /**
+   * Mark an in-progress ceremony aborted
+   * @param {string} partyGUID
+   * @param {string} [reason]
+   * @returns {Promise<Ceremony|null>} the ceremony, or null if none is in progress
+   */
+  async abort(partyGUID, reason = null) {
+    const ceremony = await this.findInProgress(partyGUID);
+    if (!ceremony) return null;
+
+    await withDbRetry(() => ceremony.update({ status: 'aborted', statusReason: reason }), { label: 'ceremony abort' });
+    console.log(`[Ceremony] ${ceremony.partyGUID} aborted at stage ${ceremony.stage}${reason ? ` (${reason})` : ''}`);
+    return ceremony;
+  }
+
+  async _write(label, operation) {
+    try {
+      await withDbRetry(operation, { label: `ceremony journal (${label})` });
+    } catch (err) {
+      console.error(`[Ceremony] Failed to journal ${label}:`, err.message);
+    }
+  }
+
+  async _update(label, where, changes) {
+    await this._write(label, async () => {
+      const ceremony = await Ceremony.findOne({ where: { ...where, status: 'in_progress' } });
+      if (!ceremony) return;
+      await ceremony.update(changes(ceremony));
+    });
+  }
+
+  // Members live in a JSON column: find the in-progress ceremony that holds the member
+  async _updateMember(label, memberGUID, changes, ceremonyChanges = () => ({})) {
+    await this._write(label, async () => {
+      const ceremony = await this.findInProgressForMember(memberGUID);
+      if (!ceremony) return;
+
+      const members = ceremony.members.map(m => (
+        m.memberGUID === String(memberGUID) ? { ...m, ...changes(m) } : m
+      ));
+      await ceremony.update({ members, ...ceremonyChanges(members) });
+    });
+  }
+}
+
+module.exports = new CeremonyJournal();
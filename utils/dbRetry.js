@@ -0,0 +1,50 @@
+/**
+ * SQLite write retry helper
+ * SQLite locks on concurrent writes; retry with exponential backoff (100ms -> 2000ms)
+ * the same way POST /api/addresses does.
+ */
+
+/**
+ * @param {Error} err
+ * @returns {boolean} true if the error is a transient lock/busy condition
+ */
+function isDbLockError(err) {
+  return err.name === 'SequelizeTimeoutError' ||
+    err.message?.includes('SQLITE_BUSY') ||
+    err.message?.includes('database is locked');
+}
+
+/**
+ * Run a database write, retrying while SQLite is locked
+ * @param {Function} operation async function performing the write
+ * @param {Object} [opts]
+ * @param {string} [opts.label] operation name for logs
+ * @param {number} [opts.maxRetries=5]
+ * @returns {Promise<*>} the operation result
+ * @throws the last error; lock exhaustion is flagged with err.dbBusy = true
+ */
+async function withDbRetry(operation, { label = 'database write', maxRetries = 5 } = {}) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await operation();
+    } catch (err) {
+      attempt++;
+      if (!isDbLockError(err)) throw err;
+
+      if (attempt >= maxRetries) {
+        console.error(`${label} failed after ${maxRetries} retries`);
+        err.dbBusy = true;
+        err.retries = maxRetries;
+        throw err;
+      }
+
+      const backoffDelay = Math.min(100 * Math.pow(2, attempt - 1), 2000);
+      console.log(`Database locked, retrying ${label} attempt ${attempt}/${maxRetries} after ${backoffDelay}ms`);
+      await new Promise(resolve => setTimeout(resolve, backoffDelay));
+    }
+  }
+}
+
+module.exports = { withDbRetry, isDbLockError };
@@ -1,20 +1,92 @@
 const os = require('os');
-const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { execSync, spawn } = require('child_process');
+
+// How link-local addresses (169.254.0.0/16, fe80::/10) are treated: they only reach the local segment
+const LINK_LOCAL_POLICIES = ['block', 'report', 'ignore'];
+
+// Off-link addresses used for kernel route lookups (no packets are sent)
+const ROUTE_PROBE = { 4: '1.1.1.1', 6: '2606:4700:4700::1111' };
+
+// Radio states, weakest first. `connected` radios always block; the `enabled` radio policy also
+// blocks radios that are switched on (not rfkill-blocked, interface up) but not connected.
+const RADIO_STATES = ['present', 'enabled', 'connected'];
+const RADIO_POLICIES = ['connected', 'enabled'];
+
+// Radio kind by uevent DEVTYPE, by ARPHRD link type (/sys/class/net/*/type, linux/if_arp.h) and by rfkill type
+const DEVTYPE_KINDS = { wlan: 'wifi', bluetooth: 'bluetooth', wwan: 'wwan' };
+const ARPHRD_KINDS = { 519: 'wwan', 801: 'wifi', 802: 'wifi', 803: 'wifi' }; // RAWIP, IEEE80211(+PRISM, RADIOTAP)
+const RFKILL_KINDS = { wlan: 'wifi', bluetooth: 'bluetooth', wwan: 'wwan', wimax: 'wwan' };
+
+/**
+ * Scope of an interface address
+ * @param {string} family 'IPv4' | 'IPv6'
+ * @param {string} address
+ * @returns {string} IPv4: 'link-local' | 'routable'; IPv6: 'link-local' | 'unique-local' | 'global'
+ */
+function addressScope(family, address) {
+  if (family === 'IPv4') return /^169\.254\./.test(address) ? 'link-local' : 'routable';
+  const addr = address.toLowerCase();
+  if (/^fe[89ab]/.test(addr)) return 'link-local';
+  if (/^f[cd]/.test(addr)) return 'unique-local';
+  return 'global';
+}
+
+/**
+ * What a transition is: the verdict and what it rests on (timestamps and diagnostics aside)
+ * @param {Object} result detect() result
+ * @returns {string}
+ */
+function stateSignature(result) {
+  return JSON.stringify([
+    result.hasNetwork,
+    (result.interfaces || []).map(i => `${i.name} ${i.address}`),
+    (result.radios || []).map(r => `${r.name} ${r.state}`),
+    !!result.gateway
+  ]);
+}
 
 /**
  * NetworkDetector - Detects active network connectivity
  * Used to enforce air-gap policy for Cold Wallet
+ * Emits 'change' (detect() result) whenever a detection differs from the previous one; while
+ * anyone is subscribed, a watch re-checks on netlink events (Linux `ip monitor`) and every
+ * NETWORK_DETECTION_WATCH_MS.
  */
-class NetworkDetector {
+class NetworkDetector extends EventEmitter {
   constructor() {
+    super();
     this.lastCheck = null;
     this.lastResult = null;
+    this.lastSignature = null; // of the last detection, to tell transitions
     this.cacheDuration = parseInt(process.env.NETWORK_DETECTION_CACHE_MS) || 10000; // 10 seconds default
     this.enabled = process.env.NETWORK_DETECTION_ENABLED !== 'false'; // Enabled by default
     this.strictMode = process.env.NETWORK_DETECTION_STRICT_MODE === 'true';
     this.whitelistInterfaces = process.env.NETWORK_DETECTION_WHITELIST_INTERFACES
       ? process.env.NETWORK_DETECTION_WHITELIST_INTERFACES.split(',').map(s => s.trim())
       : [];
+
+    // block: counts as network; report: listed in details only; ignore: left out (strict mode defaults to block)
+    const linkLocal = (process.env.NETWORK_DETECTION_LINK_LOCAL || '').trim().toLowerCase();
+    if (linkLocal && !LINK_LOCAL_POLICIES.includes(linkLocal)) {
+      console.warn(`NETWORK_DETECTION_LINK_LOCAL=${linkLocal} is not one of ${LINK_LOCAL_POLICIES.join(', ')}; using the default`);
+    }
+    this.linkLocalPolicy = LINK_LOCAL_POLICIES.includes(linkLocal) ? linkLocal : (this.strictMode ? 'block' : 'report');
+
+    // connected: block on radios with a link; enabled: block on any radio that is switched on (strict mode default)
+    const radioPolicy = (process.env.NETWORK_DETECTION_RADIO_POLICY || '').trim().toLowerCase();
+    if (radioPolicy && !RADIO_POLICIES.includes(radioPolicy)) {
+      console.warn(`NETWORK_DETECTION_RADIO_POLICY=${radioPolicy} is not one of ${RADIO_POLICIES.join(', ')}; using the default`);
+    }
+    this.radioPolicy = RADIO_POLICIES.includes(radioPolicy) ? radioPolicy : (this.strictMode ? 'enabled' : 'connected');
+    this.sysfsRoot = '/sys';
+
+    this.watchInterval = parseInt(process.env.NETWORK_DETECTION_WATCH_MS) || 2000;
+    this.watchTimer = null;
+    this.monitor = null;
+    this.monitorDebounce = null;
   }
 
   /**
@@ -41,46 +113,78 @@ class NetworkDetector {
       hasNetwork: false,
       enabled: true,
       interfaces: [],
+      radios: [],
       gateway: false,
       details: {},
       timestamp: new Date().toISOString()
     };
 
-    // Check 1: Active network interfaces
-    const interfaces = this.checkInterfaces();
+    // Check 1: Active network interfaces (IPv4 and IPv6)
+    const addresses = this.listAddresses();
+    const interfaces = addresses.filter(a => a.blocking);
     if (interfaces.length > 0) {
       result.hasNetwork = true;
       result.interfaces = interfaces;
     }
+    result.details.addresses = addresses;
+    result.details.linkLocal = this.linkLocalPolicy;
 
-    // Check 2: Default gateway
-    const gwInfo = this.checkGateway();
-    if (gwInfo.active) {
+    // Check 2: Default gateway (IPv4 and IPv6)
+    const gwInfo = this.checkGateway(4);
+    const gw6Info = this.checkGateway(6);
+    if (gwInfo.active || gw6Info.active) {
       result.hasNetwork = true;
       result.gateway = true;
     }
     result.details.gateway = gwInfo;
+    result.details.gateway6 = gw6Info;
+
+    // Check 3: Radios and tethers (Wi-Fi, Bluetooth PAN, WWAN, USB), before they have an address
+    const radios = this.listRadios();
+    const blockingRadios = radios.filter(r => r.blocking);
+    if (blockingRadios.length > 0) {
+      result.hasNetwork = true;
+      result.radios = blockingRadios;
+    }
+    result.details.radios = radios;
+    result.details.radioPolicy = this.radioPolicy;
 
     // Cache result
+    const previous = this.lastSignature;
     this.lastCheck = now;
     this.lastResult = result;
+    this.lastSignature = stateSignature(result);
+    if (this.lastSignature === previous) return result;
 
-    // Log detection if network found
+    // Log transitions
     if (result.hasNetwork) {
       console.warn('⚠️  Network connectivity detected:', {
         interfaces: result.interfaces,
+        radios: result.radios,
         gateway: result.gateway
       });
+    } else if (previous !== null) {
+      console.log('✅ Network connectivity gone');
     }
+    this.emit('change', result);
 
     return result;
   }
 
   /**
    * Check for active non-loopback network interfaces
-   * @returns {Array} List of active interfaces with addresses
+   * @returns {Array} List of active interfaces with the addresses that count as network
    */
   checkInterfaces() {
+    return this.listAddresses().filter(a => a.blocking);
+  }
+
+  /**
+   * Addresses of up, non-whitelisted, non-loopback interfaces, IPv4 and IPv6
+   * Link-local addresses are blocking only under the `block` policy, and left out under `ignore`.
+   * @returns {Array} [{ name, address, mac, family, scope, blocking }]
+   */
+  listAddresses() {
     const active = [];
     const interfaces = os.networkInterfaces();
     const winConnected = process.platform === 'win32' ? this._windowsGetConnectedInterfaces() : null;
@@ -103,10 +207,19 @@ class NetworkDetector {
       }
 
       for (const addr of addrs) {
-        // Check for non-internal IPv4 addresses
-        if (!addr.internal && addr.family === 'IPv4' && addr.address !== '127.0.0.1') {
-          active.push({ name, address: addr.address, mac: addr.mac });
-        }
+        if (addr.internal || addr.address === '127.0.0.1' || addr.address === '::1') continue;
+        if (addr.family !== 'IPv4' && addr.family !== 'IPv6') continue;
+
+        const scope = addressScope(addr.family, addr.address);
+        if (scope === 'link-local' && this.linkLocalPolicy === 'ignore') continue;
+        active.push({
+          name,
+          address: addr.address,
+          mac: addr.mac,
+          family: addr.family,
+          scope,
+          blocking: scope !== 'link-local' || this.linkLocalPolicy === 'block'
+        });
       }
     }
     
@@ -115,18 +228,24 @@ class NetworkDetector {
 
   /**
    * Check if system has an active default gateway (reachable external route)
-   * @returns {Object} { active: boolean, iface?: string, gateway?: string, reason?: string }
+   * @param {number} [family] 4 or 6
+   * @returns {Object} { active: boolean, family, iface?: string, gateway?: string, reason?: string }
    */
-  checkGateway() {
+  checkGateway(family = 4) {
+    return { ...this._checkGateway(family), family };
+  }
+
+  _checkGateway(family) {
     try {
       const platform = process.platform;
       if (platform === 'linux') {
         // Parse default route and validate its interface link state
-        const output = execSync('ip -4 route show default 2>/dev/null', {
+        // (unreachable/prohibit/blackhole defaults route nothing)
+        const output = execSync(`ip -${family} route show default 2>/dev/null`, {
           encoding: 'utf8',
           timeout: 2000,
           stdio: ['pipe', 'pipe', 'ignore']
-        }).trim();
+        }).split('\n').filter(line => !/^\s*(unreachable|prohibit|blackhole)\b/.test(line)).join('\n').trim();
 
         if (!output) {
           return { active: false, reason: 'no_default_route' };
@@ -159,7 +278,7 @@ class NetworkDetector {
 
         // Optional: kernel route lookup to external IP (no packets sent)
         try {
-          const routeGet = execSync('ip -4 route get 1.1.1.1 2>/dev/null', {
+          const routeGet = execSync(`ip -${family} route get ${ROUTE_PROBE[family]} 2>/dev/null`, {
             encoding: 'utf8',
             timeout: 1500,
             stdio: ['pipe', 'pipe', 'ignore']
@@ -180,14 +299,14 @@ class NetworkDetector {
       // Non-Linux platforms: fallback to presence-based check
       let cmd;
       if (platform === 'darwin') {
-        cmd = 'route -n get default 2>/dev/null';
+        cmd = family === 6 ? 'route -n get -inet6 default 2>/dev/null' : 'route -n get default 2>/dev/null';
       } else if (platform === 'win32') {
         // First, ensure at least one interface is connected
         const connected = this._windowsGetConnectedInterfaces();
         if (!connected || connected.size === 0) {
           return { active: false, reason: 'no_connected_interfaces' };
         }
-        cmd = 'route print 0.0.0.0';
+        cmd = family === 6 ? 'route print -6 ::/0' : 'route print 0.0.0.0';
       } else {
         return { active: false, reason: 'unsupported_platform' };
       }
@@ -204,6 +323,152 @@ class NetworkDetector {
     }
   }
 
+  /**
+   * Linux: wireless, Bluetooth, WWAN and USB-tether devices, classified from sysfs
+   * Interfaces by `/sys/class/net/<if>/wireless` (or `phy80211`), uevent DEVTYPE, ARPHRD type and a USB
+   * parent device; radios without an interface (a Bluetooth adapter, a soft-blocked Wi-Fi card) by
+   * `/sys/class/rfkill`. State: `connected` (interface up with carrier, or a Bluetooth connection),
+   * `enabled` (switched on: not rfkill-blocked and, for interfaces, administratively up) or `present`.
+   * @returns {Array} [{ name, kind, state, source, blocking, driver?, rfkill? }]; empty on other platforms
+   */
+  listRadios() {
+    if (process.platform !== 'linux') return [];
+    const radios = [];
+    const rfkills = this._linuxRfkills();
+    const claimed = new Set();
+
+    for (const name of this._readSysDir('class/net')) {
+      if (name.match(/^lo\d*$/i) || this.whitelistInterfaces.includes(name)) continue;
+      const radio = this._linuxClassifyInterface(name, rfkills);
+      if (!radio) continue;
+      if (radio.rfkill) claimed.add(radio.rfkill.name);
+      radios.push(radio);
+    }
+
+    // Radios with no network interface of their own
+    for (const rfkill of rfkills) {
+      if (claimed.has(rfkill.name) || !RFKILL_KINDS[rfkill.type]) continue;
+      if (this.whitelistInterfaces.includes(rfkill.device)) continue;
+      const blocked = rfkill.soft || rfkill.hard;
+      const connected = !blocked && rfkill.type === 'bluetooth' && this._bluetoothConnected(rfkill.device);
+      radios.push(this._radio({
+        name: rfkill.device || rfkill.name,
+        kind: RFKILL_KINDS[rfkill.type],
+        state: connected ? 'connected' : blocked ? 'present' : 'enabled',
+        source: 'rfkill',
+        rfkill
+      }));
+    }
+    return radios;
+  }
+
+  _radio(radio) {
+    const blocksFrom = RADIO_STATES.indexOf(this.radioPolicy);
+    return { ...radio, blocking: RADIO_STATES.indexOf(radio.state) >= blocksFrom };
+  }
+
+  /**
+   * Linux: radio description of a network interface, or null for wired/virtual ones
+   * @param {string} name
+   * @param {Array} rfkills see _linuxRfkills
+   * @returns {Object|null}
+   */
+  _linuxClassifyInterface(name, rfkills) {
+    const base = `class/net/${name}`;
+    const devtype = ((this._readSys(`${base}/uevent`) || '').match(/^DEVTYPE=(\S+)$/m) || [])[1] || null;
+    const arphrd = parseInt(this._readSys(`${base}/type`), 10);
+    const driver = this._sysLinkName(`${base}/device/driver`);
+    const onUsb = this._sysLinkName(`${base}/device/subsystem`) === 'usb';
+
+    let kind = null;
+    let source = null;
+    if (this._sysExists(`${base}/wireless`) || this._sysExists(`${base}/phy80211`)) {
+      kind = 'wifi';
+      source = 'wireless';
+    } else if (DEVTYPE_KINDS[devtype]) {
+      kind = DEVTYPE_KINDS[devtype];
+      source = 'devtype';
+    } else if (ARPHRD_KINDS[arphrd]) {
+      kind = ARPHRD_KINDS[arphrd];
+      source = 'type';
+    } else if (/^bnep\d+$/.test(name)) {
+      kind = 'bluetooth';
+      source = 'name';
+    } else if (onUsb) {
+      // rndis_host, cdc_ether, cdc_ncm, ipheth: a phone or modem sharing its connection
+      kind = 'usb-tether';
+      source = 'usb';
+    }
+    if (!kind) return null;
+
+    // Wi-Fi cards list their rfkill switch under the wiphy
+    const phy = this._sysLinkName(`${base}/phy80211`);
+    const rfkill = phy ? rfkills.find(r => r.device === phy) || null : null;
+
+    const flags = parseInt(this._readSys(`${base}/flags`), 16) || 0;
+    const adminUp = (flags & 0x1) === 0x1; // IFF_UP
+    const carrier = adminUp && this._readSys(`${base}/carrier`) === '1';
+    const blocked = !!rfkill && (rfkill.soft || rfkill.hard);
+    const state = carrier && !blocked ? 'connected' : adminUp && !blocked ? 'enabled' : 'present';
+
+    return this._radio({
+      name,
+      kind,
+      state,
+      source,
+      ...(driver ? { driver } : {}),
+      ...(rfkill ? { rfkill } : {})
+    });
+  }
+
+  /**
+   * Linux: rfkill switches
+   * @returns {Array} [{ name: 'rfkill0', type: 'wlan', device: 'phy0', soft: boolean, hard: boolean }]
+   */
+  _linuxRfkills() {
+    return this._readSysDir('class/rfkill').map(name => ({
+      name,
+      type: this._readSys(`class/rfkill/${name}/type`),
+      device: this._sysLinkName(`class/rfkill/${name}/device`),
+      soft: this._readSys(`class/rfkill/${name}/soft`) === '1',
+      hard: this._readSys(`class/rfkill/${name}/hard`) === '1'
+    }));
+  }
+
+  // Bluetooth connections show up as hciN:<handle> devices
+  _bluetoothConnected(hci) {
+    return !!hci && this._readSysDir('class/bluetooth').some(name => name.startsWith(`${hci}:`));
+  }
+
+  _readSys(relPath) {
+    try {
+      return fs.readFileSync(path.join(this.sysfsRoot, relPath), 'utf8').trim();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _readSysDir(relPath) {
+    try {
+      return fs.readdirSync(path.join(this.sysfsRoot, relPath));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _sysExists(relPath) {
+    return fs.existsSync(path.join(this.sysfsRoot, relPath));
+  }
+
+  // Last path component a sysfs symlink resolves to (device -> phy0, driver -> rndis_host), or null
+  _sysLinkName(relPath) {
+    try {
+      return path.basename(fs.realpathSync(path.join(this.sysfsRoot, relPath)));
+    } catch (_) {
+      return null;
+    }
+  }
+
   /**
    * Linux: determine if interface is operationally up and has lower layer up
    * @param {string} iface
@@ -269,6 +534,56 @@ class NetworkDetector {
     }
   }
 
+  /**
+   * Call `listener(result)` on every transition, watching for them while anyone is subscribed
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.on('change', listener);
+    if (this.enabled && !this.watchTimer) this._startWatch();
+    return () => {
+      this.off('change', listener);
+      if (this.listenerCount('change') === 0) this._stopWatch();
+    };
+  }
+
+  _recheck() {
+    this.clearCache();
+    try {
+      this.detect();
+    } catch (err) {
+      console.error('Network re-check failed:', err.message);
+    }
+  }
+
+  _startWatch() {
+    this.watchTimer = setInterval(() => this._recheck(), this.watchInterval);
+    if (process.platform !== 'linux') return;
+
+    // Netlink: link, address and route changes re-check at once (bursts are coalesced)
+    try {
+      this.monitor = spawn('ip', ['monitor', 'link', 'address', 'route'], { stdio: ['ignore', 'pipe', 'ignore'] });
+      this.monitor.stdout.on('data', () => {
+        clearTimeout(this.monitorDebounce);
+        this.monitorDebounce = setTimeout(() => this._recheck(), 200);
+      });
+      this.monitor.on('error', () => { this.monitor = null; });
+      this.monitor.on('exit', () => { this.monitor = null; });
+    } catch (_) {
+      // The poll still runs
+      this.monitor = null;
+    }
+  }
+
+  _stopWatch() {
+    clearInterval(this.watchTimer);
+    clearTimeout(this.monitorDebounce);
+    this.watchTimer = null;
+    if (this.monitor) this.monitor.kill();
+    this.monitor = null;
+  }
+
   /**
    * Clear the detection cache to force immediate re-check
    */
@@ -285,7 +600,10 @@ class NetworkDetector {
     return {
       enabled: this.enabled,
       cacheDuration: this.cacheDuration,
+      watchInterval: this.watchInterval,
       strictMode: this.strictMode,
+      linkLocal: this.linkLocalPolicy,
+      radioPolicy: this.radioPolicy,
       whitelistInterfaces: this.whitelistInterfaces
     };
   }
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { NetworkIncident } = require('../models');
+const { withDbRetry } = require('./dbRetry');
+const networkDetector = require('./networkDetection');
+const activeOperations = require('./activeOperations');
+
+const STATES = { network: true, clear: false };
+const CSV_COLUMNS = ['id', 'occurredAt', 'state', 'interfaces', 'radios', 'gateway', 'gatewayReason', 'ceremonies', 'signingSessions', 'calls'];
+
+/**
+ * Both gateway checks of a detection in one line
+ * @param {Object} details detection details ({ gateway, gateway6 })
+ * @returns {string|null} e.g. "IPv4 default_route_active (eth0 via 10.0.0.1); IPv6 no_default_route"
+ */
+function gatewayReason(details) {
+  const parts = [details.gateway, details.gateway6].filter(Boolean).map((gw) => {
+    const route = [gw.iface, gw.gateway && `via ${gw.gateway}`].filter(Boolean).join(' ');
+    return `IPv${gw.family} ${gw.reason || (gw.active ? 'active' : 'inactive')}${route ? ` (${route})` : ''}`;
+  });
+  return parts.length ? parts.join('; ') : null;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * NetworkIncidentLog - Persistent audit history of network-state transitions
+ * Subscribes to the detector at startup, before any request can start a ceremony or signing
+ * session, so each record holds what was running just before activeOperations stopped it.
+ * A network appearing or changing is always recorded; a clean state only when it follows a
+ * recorded network (the first clean detection after a normal start is not an incident).
+ * Recording failures are logged and never affect detection.
+ */
+class NetworkIncidentLog {
+  constructor() {
+    this.lastHasNetwork = false;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start recording; the state found now is compared with the last stored incident
+   */
+  async start() {
+    if (this.unsubscribe) return;
+    try {
+      const last = await NetworkIncident.findOne({ order: [['occurredAt', 'DESC'], ['id', 'DESC']] });
+      this.lastHasNetwork = !!(last && last.hasNetwork);
+    } catch (err) {
+      console.error('[Incidents] Could not read the last network incident:', err.message);
+    }
+
+    this.unsubscribe = networkDetector.subscribe((detection) => {
+      this.record(detection, activeOperations.snapshot())
+        .catch(err => console.error('[Incidents] Failed to record network incident:', err.message));
+    });
+    // The first detection is a transition: it is recorded through the listener
+    networkDetector.clearCache();
+    networkDetector.detect();
+  }
+
+  /**
+   * Store a detection if it is an incident
+   * @param {Object} detection networkDetector.detect() result
+   * @param {Object} operations activeOperations.snapshot() at the transition
+   * @returns {Promise<NetworkIncident|null>} the stored row, or null if nothing was recorded
+   */
+  async record(detection, operations) {
+    if (!detection.enabled) return null;
+    const hasNetwork = !!detection.hasNetwork;
+    if (!hasNetwork && !this.lastHasNetwork) return null;
+    this.lastHasNetwork = hasNetwork;
+
+    const details = detection.details || {};
+    return withDbRetry(() => NetworkIncident.create({
+      occurredAt: new Date(detection.timestamp),
+      hasNetwork,
+      interfaces: (detection.interfaces || []).map(({ name, address, family, scope, mac }) => ({ name, address, family, scope, mac })),
+      radios: (detection.radios || []).map(({ name, kind, state, driver }) => ({ name, kind, state, driver })),
+      gateway: !!detection.gateway,
+      gatewayReason: gatewayReason(details),
+      operations
+    }), { label: 'network incident' });
+  }
+
+  /**
+   * Parse the filters of the incident list, export and review page
+   * @param {Object} query ?state=network|clear&since=<ISO date>&until=<ISO date>
+   * @returns {{ filters?: Object, error?: string }} filters for list(), or a message for a 400
+   */
+  parseFilters(query) {
+    const filters = {};
+    if (query.state) {
+      if (!Object.prototype.hasOwnProperty.call(STATES, query.state)) {
+        return { error: `state must be one of ${Object.keys(STATES).join(', ')}` };
+      }
+      filters.hasNetwork = STATES[query.state];
+    }
+    for (const key of ['since', 'until']) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) return { error: `${key} must be a date (ISO 8601)` };
+      filters[key] = date;
+    }
+    return { filters };
+  }
+
+  /**
+   * Incidents, newest first
+   * @param {Object} [filters]
+   * @param {boolean} [filters.hasNetwork] only detections (true) or only clean states (false)
+   * @param {Date} [filters.since] inclusive
+   * @param {Date} [filters.until] inclusive
+   * @param {number} [filters.limit] page size (all when omitted)
+   * @param {number} [filters.offset]
+   * @returns {Promise<{ rows: NetworkIncident[], count: number }>}
+   */
+  async list({ hasNetwork, since, until, limit, offset = 0 } = {}) {
+    const where = {};
+    if (hasNetwork !== undefined) where.hasNetwork = hasNetwork;
+    if (since || until) {
+      where.occurredAt = {
+        ...(since ? { [Op.gte]: since } : {}),
+        ...(until ? { [Op.lte]: until } : {})
+      };
+    }
+    return NetworkIncident.findAndCountAll({
+      where,
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+      ...(limit ? { limit } : {}),
+      offset
+    });
+  }
+
+  /**
+   * @param {NetworkIncident[]} incidents
+   * @returns {string} CSV with a header row (lists are joined with "; ")
+   */
+  toCsv(incidents) {
+    const lines = incidents.map((i) => {
+      const operations = i.operations || {};
+      return [
+        i.id,
+        new Date(i.occurredAt).toISOString(),
+        i.hasNetwork ? 'network' : 'clear',
+        (i.interfaces || []).map(n => `${n.name} ${n.address}`).join('; '),
+        (i.radios || []).map(r => `${r.name} ${r.kind} ${r.state}`).join('; '),
+        i.gateway,
+        i.gatewayReason,
+        (operations.ceremonies || []).join('; '),
+        (operations.sessions || []).map(s => s.sessionID).join('; '),
+        operations.calls || 0
+      ].map(csvField).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new NetworkIncidentLog();
@@ -0,0 +1,53 @@
+// Messages approved by a review are signable for this long; a QR reviewed earlier must be reviewed again
+const REVIEW_TTL_MS = 15 * 60 * 1000;
+
+function normalizeHash(hash) {
+  return String(hash || '').trim().replace(/^0x/i, '').toLowerCase();
+}
+
+/**
+ * ReviewedMessages - The sighashes /api/transactions approved for signing, per wallet
+ * The /api/tss proxy opens a signing session only for a message recorded here for the same
+ * partyGUID, so a caller that skips the review (or reviews for one wallet and signs with
+ * another) cannot have the orchestrator sign an arbitrary hash.
+ */
+class ReviewedMessages {
+  constructor() {
+    this.approved = new Map(); // `${partyGUID}:${hash}` -> expiry timestamp
+  }
+
+  /**
+   * Record the sighashes of a reviewed transaction
+   * @param {string} partyGUID wallet the transaction was reviewed for
+   * @param {string[]} messages sighashes (hex)
+   */
+  approve(partyGUID, messages) {
+    this._prune();
+    const expiresAt = Date.now() + REVIEW_TTL_MS;
+    messages.forEach(message => this.approved.set(this._key(partyGUID, message), expiresAt));
+  }
+
+  /**
+   * @param {string} partyGUID
+   * @param {string} message hash about to be signed
+   * @returns {boolean} whether a review of this wallet approved it within REVIEW_TTL_MS
+   */
+  isApproved(partyGUID, message) {
+    this._prune();
+    return this.approved.has(this._key(partyGUID, message));
+  }
+
+  _key(partyGUID, message) {
+    return `${partyGUID}:${normalizeHash(message)}`;
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.approved) {
+      if (expiresAt <= now) this.approved.delete(key);
+    }
+  }
+}
+
+module.exports = new ReviewedMessages();
+module.exports.REVIEW_TTL_MS = REVIEW_TTL_MS;
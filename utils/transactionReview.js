@@ -0,0 +1,283 @@
+const btc = require('./txDecoders/btc');
+const assetRegistry = require('./assetRegistry');
+const { secp256k1, schnorr } = require('@noble/curves/secp256k1');
+const { TransactionDecodeError, hexToBytes, bytesToHex } = require('./txDecoders/common');
+const { ownsAddress, taprootOutputKey, bitcoinNetwork } = require('./addressDerivation');
+
+function normalizeHash(hash) {
+  return String(hash || '').trim().replace(/^0x/i, '').toLowerCase();
+}
+
+/**
+ * TransactionReview - Decodes a transaction QR before it is signed ("what you see is what you sign")
+ * The per-asset decoders (utils/txDecoders) turn rawTxBytes into recipients, amount and fee and
+ * recompute the sighash of every input; a transaction is only approved for signing when it is for
+ * the wallet's network and those sighashes are exactly the QR's messagesToSign.
+ *
+ * Decoded transaction: { asset, from?, recipients: [{ address, amount }], amount, fee, details, sighashes }
+ * Amounts and fees are decimal strings in the asset's unit (BTC, ETH, XRP). `from` is the account
+ * the transaction spends from when the unsigned transaction names one (XRP `Account`).
+ */
+class TransactionReview {
+  /**
+   * Decode rawTxBytes and check it against the messages about to be signed
+   * @param {string} asset registered asset (utils/assetRegistry.js), e.g. BTC
+   * @param {Object} params
+   * @param {string} params.rawTxBytes
+   * @param {string[]} params.messagesToSign hashes in input order
+   * @param {Object[]} [params.prevouts] BTC spent outputs when rawTxBytes is not a PSBT
+   * @param {string} [params.address] wallet address, to tell change from payments
+   * @param {string} [params.network] wallet network (default: the asset's default network)
+   * @param {Object} [params.declared] { network, chainId } the transaction QR states
+   * @returns {Object} decoded transaction
+   * @throws {TransactionDecodeError} undecodable transaction, NETWORK_MISMATCH, ACCOUNT_MISMATCH or SIGHASH_MISMATCH
+   */
+  review(asset, { rawTxBytes, messagesToSign, prevouts, address, network, declared }) {
+    const decoder = assetRegistry.decoder(asset);
+    if (!decoder) throw new TransactionDecodeError(`No transaction decoder for asset ${asset}`, { code: 'UNSUPPORTED_ASSET' });
+    const params = this.walletNetwork(asset, network);
+
+    this.verifyDeclaredNetwork(asset, params, declared);
+    const decoded = decoder.decode(rawTxBytes, { prevouts, address, network: params });
+    this.verifyChain(asset, params, decoded);
+    this.verifySource(address, decoded);
+    this.verifySighashes(decoded.sighashes, messagesToSign);
+    return decoded;
+  }
+
+  /**
+   * Decode a PSBT (BIP-174); its per-input sighashes are what gets signed
+   * @param {string} asset wallet asset (PSBTs are Bitcoin only)
+   * @param {string} psbt base64 or hex
+   * @param {string} [address] wallet address, to tell change from payments
+   * @param {string} [network] wallet network, for the addresses shown
+   * @returns {{ transaction: Object, messagesToSign: string[] }}
+   * @throws {TransactionDecodeError} UNSUPPORTED_SIGHASH (422) when an input asks for a hash type other
+   *   than SIGHASH_ALL (or SIGHASH_DEFAULT on Taproot), UNSUPPORTED_INPUT, MISSING_PREVOUT
+   */
+  inspectPsbt(asset, psbt, address, network) {
+    if (assetRegistry.decoder(asset) !== btc) {
+      throw new TransactionDecodeError(`PSBTs are Bitcoin transactions; the wallet holds ${asset}`, { code: 'UNSUPPORTED_ASSET' });
+    }
+    if (!btc.isPsbt(psbt)) throw new TransactionDecodeError('Not a PSBT (expected base64 "cHNidP…" or hex "70736274ff…")');
+
+    const transaction = btc.decode(psbt, { address, network: this.walletNetwork(asset, network) });
+    return { transaction, messagesToSign: transaction.sighashes };
+  }
+
+  /**
+   * Put the threshold signatures into the PSBT and finalize it for broadcast. The signatures are
+   * first verified over the PSBT's sighashes under the wallet's group key (verifySignatures): the
+   * finalizer alone only checks them against the keys the PSBT's own inputs name. The PSBT is inspected
+   * again first, so an input whose hash type was changed since the import is refused before any
+   * signature is checked or inserted.
+   * @param {string} asset wallet asset
+   * @param {string} psbt base64 or hex, as inspected
+   * @param {Object[]} signatures one { signature, recoveryId } per input, in input order
+   * @param {Object} wallet { address, network, publicKey } as for verifySignatures
+   * @returns {{ psbt: string, rawTransaction: string, txid: string }}
+   * @throws {TransactionDecodeError} SIGNATURE_MISMATCH (422) and the inspectPsbt errors (UNSUPPORTED_SIGHASH)
+   */
+  finalizePsbt(asset, psbt, signatures, { address, network, publicKey }) {
+    const { messagesToSign } = this.inspectPsbt(asset, psbt, address, network);
+    this.verifySignatures(asset, { address, network, publicKey, messages: messagesToSign, signatures });
+    return btc.finalize(psbt, signatures);
+  }
+
+  /**
+   * Check the threshold signatures before they leave the device: every signature must verify over
+   * its message under the wallet's group key. The key is the one committed in the wallet address:
+   * ECDSA signatures recover it (and must all recover the same key), Schnorr signatures verify
+   * against the P2TR output key.
+   * @param {string} asset registered asset, e.g. BTC
+   * @param {Object} params
+   * @param {string} params.address wallet address
+   * @param {string} [params.network] wallet network
+   * @param {string} [params.publicKey] recorded group key (compressed hex); ECDSA signatures must recover exactly it
+   * @param {string[]} params.messages signed 32-byte hashes (hex), in input order
+   * @param {Object[]} params.signatures one { signature: r‖s hex (or 64-byte Schnorr), recoveryId? } per message
+   * @returns {{ publicKey: string|null }} group key (compressed hex; null for Schnorr/P2TR)
+   * @throws {TransactionDecodeError} SIGNATURE_MISMATCH (422)
+   */
+  verifySignatures(asset, { address, network, publicKey, messages, signatures }) {
+    const invalid = (message, index) => new TransactionDecodeError(message, {
+      code: 'SIGNATURE_MISMATCH',
+      status: 422,
+      details: index === undefined ? null : { index }
+    });
+
+    if (!address) throw new TransactionDecodeError('The wallet address is unknown: signatures cannot be verified', { code: 'UNKNOWN_WALLET' });
+    if (!Array.isArray(messages) || messages.length === 0) throw invalid('No signed messages to verify');
+    if (!Array.isArray(signatures) || signatures.length !== messages.length) {
+      throw invalid(`${messages.length} message(s) were signed but ${signatures ? signatures.length : 0} signature(s) were returned`);
+    }
+
+    const btcNetwork = bitcoinNetwork(asset, this.walletNetwork(asset, network).name);
+    const outputKey = btcNetwork ? taprootOutputKey(address, btcNetwork) : null;
+    let groupKey = null;
+
+    messages.forEach((message, i) => {
+      let hash;
+      let sig;
+      try {
+        hash = hexToBytes(message, `messages[${i}]`);
+        sig = hexToBytes(signatures[i] && signatures[i].signature, `signatures[${i}]`);
+      } catch (err) {
+        throw invalid(err.message, i);
+      }
+      if (hash.length !== 32 || sig.length !== 64) throw invalid(`Signature ${i + 1} is not a 64-byte signature over a 32-byte hash`, i);
+
+      if (outputKey) {
+        if (!schnorr.verify(sig, hash, outputKey)) throw invalid(`Signature ${i + 1} does not verify under the wallet's Taproot key`, i);
+        return;
+      }
+
+      let ecdsa;
+      try {
+        ecdsa = secp256k1.Signature.fromCompact(sig);
+      } catch (_) {
+        throw invalid(`Signature ${i + 1} is not a valid ECDSA signature`, i);
+      }
+      const pubkey = recoverOwner(asset, address, network, ecdsa, signatures[i].recoveryId, hash);
+      if (!pubkey) throw invalid(`Signature ${i + 1} was not made by the key behind ${address}`, i);
+      if (groupKey && bytesToHex(groupKey) !== bytesToHex(pubkey)) throw invalid(`Signature ${i + 1} was made by a different key`, i);
+      if (publicKey && bytesToHex(pubkey) !== String(publicKey).toLowerCase()) throw invalid(`Signature ${i + 1} was not made by the wallet's group key`, i);
+      groupKey = pubkey;
+    });
+
+    return { publicKey: groupKey ? bytesToHex(groupKey) : null };
+  }
+
+  /**
+   * @param {string} asset
+   * @param {string} [network] network name (default: the asset's default network)
+   * @returns {Object} network parameters (utils/assetRegistry.js network())
+   * @throws {TransactionDecodeError} UNSUPPORTED_ASSET, or UNKNOWN_NETWORK when the asset has no such network
+   */
+  walletNetwork(asset, network) {
+    if (!assetRegistry.get(asset)) throw new TransactionDecodeError(`Unsupported asset ${asset}`, { code: 'UNSUPPORTED_ASSET' });
+    const params = assetRegistry.network(asset, network);
+    if (!params) throw new TransactionDecodeError(`${asset} has no network ${network}`, { code: 'UNKNOWN_NETWORK' });
+    return params;
+  }
+
+  /**
+   * Refuse a transaction QR whose `network` or `chainId` fields name another network than the wallet's
+   * @param {string} asset
+   * @param {Object} network wallet network parameters
+   * @param {Object} [declared] { network, chainId } the transaction QR states
+   * @throws {TransactionDecodeError} NETWORK_MISMATCH (422)
+   */
+  verifyDeclaredNetwork(asset, network, declared) {
+    const claimed = declared || {};
+    const given = (value) => value !== undefined && value !== null && value !== '';
+
+    const claimedNetwork = given(claimed.network) ? String(claimed.network).toLowerCase() : null;
+    if (claimedNetwork && claimedNetwork !== network.name) {
+      const other = assetRegistry.network(asset, claimedNetwork);
+      throw networkMismatch(asset, network, `The transaction QR is for ${asset} ${other ? other.label : claimed.network}`);
+    }
+    if (network.chainId !== undefined && given(claimed.chainId) && String(claimed.chainId) !== String(network.chainId)) {
+      throw networkMismatch(asset, network, `The transaction QR is for chain ID ${claimed.chainId}`);
+    }
+  }
+
+  /**
+   * Refuse a transaction bound to another chain than the wallet's network (EVM chainId, XRPL NetworkID).
+   * Bitcoin transactions carry no network: for them only the QR's declared network is checked.
+   * @param {string} asset
+   * @param {Object} network wallet network parameters
+   * @param {Object} transaction decoded transaction
+   * @throws {TransactionDecodeError} NETWORK_MISMATCH (422)
+   */
+  verifyChain(asset, network, transaction) {
+    if (network.chainId !== undefined) {
+      const chainId = transaction.details.chainId;
+      if (chainId === null) throw networkMismatch(asset, network, 'The transaction has no chain ID (it could be replayed on any chain)');
+      if (chainId !== String(network.chainId)) throw networkMismatch(asset, network, `The transaction is for chain ID ${chainId}`);
+    }
+
+    if (network.networkId !== undefined) {
+      // XRPL networks with an ID up to 1024 must leave NetworkID out; higher IDs must carry it
+      const expected = network.networkId > 1024 ? network.networkId : null;
+      const networkId = transaction.details.NetworkID;
+      if (networkId !== expected) {
+        throw networkMismatch(asset, network, networkId === null
+          ? 'The transaction has no NetworkID'
+          : `The transaction is for network ID ${networkId}`);
+      }
+    }
+  }
+
+  /**
+   * Refuse a transaction that spends from another account than the wallet (XRP `Account`).
+   * Transactions that name no source account (BTC, ETH) are not checked here.
+   * @param {string} [address] wallet address
+   * @param {Object} transaction decoded transaction
+   * @throws {TransactionDecodeError} UNKNOWN_WALLET (400) or ACCOUNT_MISMATCH (422)
+   */
+  verifySource(address, transaction) {
+    if (!transaction.from) return;
+    if (!address) {
+      throw new TransactionDecodeError('The wallet address is unknown: the transaction account cannot be checked', { code: 'UNKNOWN_WALLET' });
+    }
+    if (transaction.from !== address) {
+      throw new TransactionDecodeError(`The transaction spends from ${transaction.from}, but this wallet is ${address}`, {
+        code: 'ACCOUNT_MISMATCH',
+        status: 422,
+        details: { account: transaction.from }
+      });
+    }
+  }
+
+  /**
+   * @throws {TransactionDecodeError} SIGHASH_MISMATCH (422) unless `messages` are exactly `sighashes`
+   */
+  verifySighashes(sighashes, messages) {
+    const expected = (messages || []).map(normalizeHash);
+    if (expected.length !== sighashes.length) {
+      throw new TransactionDecodeError(
+        `Transaction has ${sighashes.length} input(s) to sign but the QR asks for ${expected.length} signature(s)`,
+        { code: 'SIGHASH_MISMATCH', status: 422 }
+      );
+    }
+
+    const mismatch = sighashes.findIndex((hash, i) => hash !== expected[i]);
+    if (mismatch !== -1) {
+      console.warn(`[Review] Sighash mismatch on input ${mismatch}: computed ${sighashes[mismatch]}, QR ${expected[mismatch]}`);
+      throw new TransactionDecodeError(
+        `Message ${mismatch + 1} is not the sighash of the transaction shown`,
+        { code: 'SIGHASH_MISMATCH', status: 422, details: { index: mismatch, computed: sighashes[mismatch], received: expected[mismatch] } }
+      );
+    }
+  }
+}
+
+// "<reason>, but this wallet is on ETH Sepolia (chain ID 11155111)"
+function networkMismatch(asset, network, reason) {
+  const id = network.chainId !== undefined ? ` (chain ID ${network.chainId})`
+    : network.networkId !== undefined ? ` (network ID ${network.networkId})` : '';
+  return new TransactionDecodeError(`${reason}, but this wallet is on ${asset} ${network.label}${id}`, {
+    code: 'NETWORK_MISMATCH',
+    status: 422,
+    details: { network: network.name }
+  });
+}
+
+// Public key an ECDSA signature recovers to that owns `address` and verifies over `hash`
+// (the TSS returns r‖s and a recovery id, not the key)
+function recoverOwner(asset, address, network, signature, recoveryId, hash) {
+  const ids = Number.isInteger(recoveryId) ? [recoveryId] : [0, 1, 2, 3];
+  for (const id of ids) {
+    try {
+      const pubkey = signature.addRecoveryBit(id).recoverPublicKey(hash).toRawBytes(true);
+      if (ownsAddress(asset, pubkey, address, network) && secp256k1.verify(signature, hash, pubkey, { lowS: false })) return pubkey;
+    } catch (_) {
+      // not this recovery id
+    }
+  }
+  return null;
+}
+
+module.exports = new TransactionReview();
+module.exports.TransactionDecodeError = TransactionDecodeError;
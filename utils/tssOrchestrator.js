@@ -0,0 +1,203 @@
+const http = require('http');
+const https = require('https');
+const tssConfig = require('../config/tss');
+
+/**
+ * TssOrchestratorError - Normalized failure from the TSS orchestrator
+ * `code` is stable for the UI; `status` is the HTTP status the proxy should answer with
+ */
+class TssOrchestratorError extends Error {
+  constructor(message, { code = 'ORCHESTRATOR_ERROR', status = 502, upstreamStatus = null, details = null } = {}) {
+    super(message);
+    this.name = 'TssOrchestratorError';
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+  }
+}
+
+// Connection-level failures that are safe to retry for idempotent requests
+const RETRYABLE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * TssOrchestrator - Server-side client for the TSS orchestrator REST API
+ * Used by the /api/tss proxy routes so the browser never talks to the orchestrator directly
+ */
+class TssOrchestrator {
+  constructor(config) {
+    this.baseUrl = config.orchestratorUrl;
+    this.timeoutMs = parseInt(process.env.TSS_ORCHESTRATOR_TIMEOUT_MS) || 310000; // Card taps can take up to 5 minutes
+    this.rejectUnauthorized = process.env.TSS_ORCHESTRATOR_REJECT_UNAUTHORIZED !== 'false'; // Strict TLS by default
+    this.maxRetries = 2;
+  }
+
+  /**
+   * Call an orchestrator endpoint and unwrap its `resultObject` envelope
+   * @param {string} method
+   * @param {string} path e.g. /api/Party/create
+   * @param {Object} [body]
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal] abandons the call (e.g. the browser went away mid card tap)
+   * @returns {Promise<*>} resultObject of a successful call
+   */
+  async request(method, path, body, { signal } = {}) {
+    const idempotent = method === 'GET';
+    let attempt = 0;
+
+    while (true) {
+      const started = Date.now();
+      try {
+        const { status, data } = await this._send(method, path, body, signal);
+        console.log(`[TSS] ${method} ${path} -> ${status} (${Date.now() - started}ms)`);
+        return this._unwrap(status, data);
+      } catch (err) {
+        if (err instanceof TssOrchestratorError) throw err;
+
+        if (err.code === 'REQUEST_CANCELLED') {
+          console.warn(`[TSS] ${method} ${path} cancelled after ${Date.now() - started}ms`);
+          throw new TssOrchestratorError('Request cancelled', { code: 'REQUEST_CANCELLED', status: 499 });
+        }
+
+        attempt++;
+        if (idempotent && RETRYABLE_ERRORS.includes(err.code) && attempt <= this.maxRetries) {
+          const backoffDelay = 250 * Math.pow(2, attempt - 1);
+          console.warn(`[TSS] ${method} ${path} failed (${err.code}), retrying ${attempt}/${this.maxRetries} after ${backoffDelay}ms`);
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+          continue;
+        }
+
+        console.error(`[TSS] ${method} ${path} failed:`, err.message);
+        if (err.code === 'ORCHESTRATOR_TIMEOUT') {
+          throw new TssOrchestratorError(`Orchestrator did not answer within ${this.timeoutMs}ms`, {
+            code: 'ORCHESTRATOR_TIMEOUT',
+            status: 504
+          });
+        }
+        throw new TssOrchestratorError(`Orchestrator unreachable at ${this.baseUrl}: ${err.message}`, {
+          code: 'ORCHESTRATOR_UNREACHABLE',
+          status: 502
+        });
+      }
+    }
+  }
+
+  /**
+   * Turn an orchestrator response into its result or a TssOrchestratorError
+   * @param {number} status HTTP status from the orchestrator
+   * @param {Object} data parsed JSON body
+   * @returns {*}
+   */
+  _unwrap(status, data) {
+    const envelope = data && typeof data === 'object' ? data : {};
+    const message = TssOrchestrator.envelopeMessage(envelope);
+    const failed = status < 200 || status >= 300 ||
+      envelope.error || envelope.Error ||
+      envelope.isSuccess === false || envelope.IsSuccess === false;
+
+    if (message && /wrong\s*_?pin/i.test(message)) {
+      throw new TssOrchestratorError(message, { code: 'WRONG_PIN', status: 401, upstreamStatus: status });
+    }
+
+    if (failed) {
+      throw new TssOrchestratorError(message || `Orchestrator error ${status}`, {
+        code: 'ORCHESTRATOR_ERROR',
+        status: 502,
+        upstreamStatus: status,
+        details: envelope
+      });
+    }
+
+    if ('resultObject' in envelope) return envelope.resultObject;
+    if ('ResultObject' in envelope) return envelope.ResultObject;
+    return data;
+  }
+
+  /**
+   * Pick the human-readable message out of an orchestrator envelope
+   * @param {Object} envelope
+   * @returns {string|null}
+   */
+  static envelopeMessage(envelope) {
+    const msg = envelope.Message || envelope.message || envelope.error || envelope.Error || null;
+    if (!msg) return null;
+    return typeof msg === 'string' ? msg : JSON.stringify(msg);
+  }
+
+  /**
+   * Raw HTTP(S) round-trip with JSON body
+   * @returns {Promise<{status: number, data: Object}>}
+   */
+  _send(method, path, body, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        const err = new Error('request cancelled');
+        err.code = 'REQUEST_CANCELLED';
+        return reject(err);
+      }
+
+      const url = new URL(this.baseUrl + path);
+      const transport = url.protocol === 'https:' ? https : http;
+      const payload = body === undefined ? null : JSON.stringify(body);
+
+      const req = transport.request(url, {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+        },
+        rejectUnauthorized: this.rejectUnauthorized
+      }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let data = {};
+          if (raw) {
+            try {
+              data = JSON.parse(raw);
+            } catch (_) {
+              data = { message: raw.slice(0, 500) };
+            }
+          }
+          resolve({ status: res.statusCode, data });
+        });
+      });
+
+      req.setTimeout(this.timeoutMs, () => {
+        const err = new Error('request timed out');
+        err.code = 'ORCHESTRATOR_TIMEOUT';
+        req.destroy(err);
+      });
+      req.on('error', reject);
+
+      if (signal) {
+        const onAbort = () => {
+          const err = new Error('request cancelled');
+          err.code = 'REQUEST_CANCELLED';
+          req.destroy(err);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        req.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Configuration details
+   */
+  getConfig() {
+    return {
+      baseUrl: this.baseUrl,
+      timeoutMs: this.timeoutMs,
+      rejectUnauthorized: this.rejectUnauthorized
+    };
+  }
+}
+
+module.exports = new TssOrchestrator(tssConfig);
+module.exports.TssOrchestratorError = TssOrchestratorError;
@@ -0,0 +1,255 @@
+const { Transaction, OutScript, Address, NETWORK, SigHash } = require('@scure/btc-signer');
+const { secp256k1, schnorr } = require('@noble/curves/secp256k1');
+const { sha256 } = require('@noble/hashes/sha256');
+const { ripemd160 } = require('@noble/hashes/ripemd160');
+const { base64 } = require('@scure/base');
+const { TransactionDecodeError, hexToBytes, bytesToHex, formatUnits } = require('./common');
+
+// Bitcoin: rawTxBytes is an unsigned transaction (hex) or a PSBT (BIP-174, hex or base64).
+// Segwit sighashes commit to the amount and script of every spent output: a PSBT carries them
+// (witnessUtxo); a bare transaction needs them in the QR's `prevouts` ([{ amount: sats, script: hex }]).
+
+const DECIMALS = 8;
+const PSBT_MAGIC = '70736274ff';
+const TX_OPTS = { allowUnknownOutputs: true, allowUnknownInputs: true, disableScriptCheck: true };
+// Hash types signed per spent script type: only ones committing to every input and output. NONE,
+// SINGLE and ANYONECANPAY leave what the review showed open to change after approval
+const SIGNABLE_HASH_TYPES = { wpkh: [SigHash.ALL], tr: [SigHash.DEFAULT, SigHash.ALL] };
+
+/**
+ * Whether a scanned/pasted value is a PSBT (base64 or hex)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPsbt(value) {
+  const raw = String(value || '').trim();
+  return raw.startsWith('cHNidP') || raw.toLowerCase().replace(/^0x/, '').startsWith(PSBT_MAGIC);
+}
+
+function parse(rawTxBytes) {
+  const raw = String(rawTxBytes || '').trim();
+  try {
+    if (raw.startsWith('cHNidP')) return Transaction.fromPSBT(base64.decode(raw), TX_OPTS);
+    const bytes = hexToBytes(raw);
+    if (bytesToHex(bytes.slice(0, 5)) === PSBT_MAGIC) return Transaction.fromPSBT(bytes, TX_OPTS);
+    return Transaction.fromRaw(bytes, TX_OPTS);
+  } catch (err) {
+    if (err instanceof TransactionDecodeError) throw err;
+    throw new TransactionDecodeError(`Not a Bitcoin transaction or PSBT: ${err.message}`);
+  }
+}
+
+function addressOf(script, network) {
+  try {
+    return Address(network).encode(OutScript.decode(script));
+  } catch (_) {
+    return null; // OP_RETURN and non-standard scripts have no address
+  }
+}
+
+// Spent outputs from the QR's `prevouts` for inputs the transaction itself doesn't describe
+function attachPrevouts(tx, prevouts) {
+  if (!Array.isArray(prevouts)) return;
+  prevouts.forEach((p, i) => {
+    if (!p || i >= tx.inputsLength || tx.getInput(i).witnessUtxo) return;
+    try {
+      tx.updateInput(i, { witnessUtxo: { script: hexToBytes(p.script, `prevouts[${i}].script`), amount: BigInt(p.amount) } }, true);
+    } catch (err) {
+      if (err instanceof TransactionDecodeError) throw err;
+      throw new TransactionDecodeError(`prevouts[${i}] is invalid: ${err.message}`);
+    }
+  });
+}
+
+// Every input's spent output; a sighash can't be computed without all of them
+function spentOutputs(tx) {
+  const utxos = [];
+  for (let i = 0; i < tx.inputsLength; i++) {
+    const input = tx.getInput(i);
+    // Older PSBTs carry the whole previous transaction instead of witnessUtxo
+    const previous = input.nonWitnessUtxo ? input.nonWitnessUtxo.outputs[input.index] : null;
+    utxos.push(input.witnessUtxo || previous || null);
+  }
+
+  const missing = utxos.findIndex(u => !u);
+  if (missing !== -1) {
+    throw new TransactionDecodeError(`Amount and script spent by input ${missing} are unknown: provide a PSBT or prevouts`, {
+      code: 'MISSING_PREVOUT'
+    });
+  }
+  return utxos;
+}
+
+// Spent script type and the sighash type the input is signed with (PSBT_IN_SIGHASH_TYPE or the default)
+// Every caller (decode, finalize) goes through here, so no other hash type is ever signed or finalized
+function signingMode(tx, idx, utxos) {
+  const input = tx.getInput(idx);
+  const spent = OutScript.decode(utxos[idx].script);
+  if (spent.type !== 'wpkh' && spent.type !== 'tr') {
+    throw new TransactionDecodeError(`Input ${idx} spends a ${spent.type} output, which this wallet cannot sign`, {
+      code: 'UNSUPPORTED_INPUT'
+    });
+  }
+  const fallback = spent.type === 'tr' ? SigHash.DEFAULT : SigHash.ALL;
+  const hashType = input.sighashType === undefined ? fallback : input.sighashType;
+  if (!SIGNABLE_HASH_TYPES[spent.type].includes(hashType)) {
+    const name = SigHash[hashType] || `0x${Number(hashType).toString(16)}`;
+    throw new TransactionDecodeError(`Input ${idx} asks for SIGHASH_${name}, which does not commit to the whole transaction shown: only SIGHASH_ALL${spent.type === 'tr' ? ' or SIGHASH_DEFAULT' : ''} is signed`, {
+      code: 'UNSUPPORTED_SIGHASH',
+      status: 422,
+      details: { index: idx, hashType }
+    });
+  }
+  return { spent, hashType };
+}
+
+/**
+ * BIP-143 (P2WPKH) or BIP-341 (P2TR key path) sighash of one input, refusing what signingMode refuses
+ * @param {Transaction} tx parsed transaction
+ * @param {number} idx input index
+ * @param {Object[]} utxos every input's spent output ({ script, amount }), in input order
+ * @returns {Uint8Array} 32-byte hash to sign
+ */
+function sighash(tx, idx, utxos) {
+  const { spent, hashType } = signingMode(tx, idx, utxos);
+  if (spent.type === 'wpkh') {
+    const scriptCode = OutScript.encode({ type: 'pkh', hash: spent.hash });
+    return tx.preimageWitnessV0(idx, scriptCode, hashType, utxos[idx].amount);
+  }
+  return tx.preimageWitnessV1(idx, utxos.map(u => u.script), hashType, utxos.map(u => u.amount));
+}
+
+/**
+ * Decode a Bitcoin transaction and compute the sighash of every input
+ * @param {string} rawTxBytes
+ * @param {Object} [context]
+ * @param {Object[]} [context.prevouts] spent outputs for a bare transaction
+ * @param {string} [context.address] wallet address; outputs paying it are change
+ * @param {Object} [context.network] wallet network's address prefixes (default: mainnet)
+ * @returns {Object} decoded transaction (see utils/transactionReview.js)
+ */
+function decode(rawTxBytes, { prevouts, address, network = NETWORK } = {}) {
+  const tx = parse(rawTxBytes);
+  attachPrevouts(tx, prevouts);
+
+  const utxos = spentOutputs(tx);
+  const inputs = utxos.map((utxo, i) => {
+    const input = tx.getInput(i);
+    return {
+      txid: bytesToHex(input.txid),
+      vout: input.index,
+      address: addressOf(utxo.script, network),
+      amount: formatUnits(utxo.amount, DECIMALS),
+      sighashType: SigHash[signingMode(tx, i, utxos).hashType]
+    };
+  });
+
+  const outputs = [];
+  for (let i = 0; i < tx.outputsLength; i++) {
+    const output = tx.getOutput(i);
+    const outAddress = addressOf(output.script, network);
+    outputs.push({
+      address: outAddress,
+      script: outAddress ? undefined : bytesToHex(output.script),
+      amount: formatUnits(output.amount, DECIMALS),
+      sats: output.amount,
+      change: !!address && outAddress === address
+    });
+  }
+
+  const totalIn = utxos.reduce((sum, u) => sum + u.amount, 0n);
+  const totalOut = outputs.reduce((sum, o) => sum + o.sats, 0n);
+  const paid = outputs.filter(o => !o.change);
+  if (totalOut > totalIn) throw new TransactionDecodeError('Outputs spend more than the inputs hold');
+
+  return {
+    asset: 'BTC',
+    recipients: paid.map(o => ({ address: o.address || `script ${o.script}`, amount: o.amount })),
+    amount: formatUnits(paid.reduce((sum, o) => sum + o.sats, 0n), DECIMALS),
+    fee: formatUnits(totalIn - totalOut, DECIMALS),
+    details: {
+      version: tx.version,
+      lockTime: tx.lockTime,
+      inputs,
+      outputs: outputs.map(({ sats, ...o }) => o)
+    },
+    sighashes: inputs.map((_, i) => bytesToHex(sighash(tx, i, utxos)))
+  };
+}
+
+/**
+ * ECDSA public key that produced `signature` over `hash` and pays to `pubKeyHash`
+ * (the TSS returns r‖s and a recovery id, not the key)
+ */
+function recoverSigner(signature, recoveryId, hash, pubKeyHash) {
+  const ids = Number.isInteger(recoveryId) ? [recoveryId] : [0, 1, 2, 3];
+  for (const id of ids) {
+    try {
+      const pubkey = signature.addRecoveryBit(id).recoverPublicKey(hash).toRawBytes(true);
+      if (bytesToHex(ripemd160(sha256(pubkey))) === bytesToHex(pubKeyHash)) return pubkey;
+    } catch (_) {
+      // not this recovery id
+    }
+  }
+  return null;
+}
+
+/**
+ * Insert the threshold signatures into a PSBT and finalize it
+ * @param {string} psbt base64 or hex
+ * @param {Object[]} signatures one per input, in input order: { signature: r‖s hex (or 64-byte Schnorr), recoveryId? }
+ * @returns {{ psbt: string, rawTransaction: string, txid: string }} finalized PSBT (base64) and the network transaction (hex)
+ * @throws {TransactionDecodeError} SIGNATURE_MISMATCH when a signature doesn't sign its input for the spent key
+ */
+function finalize(psbt, signatures) {
+  if (!isPsbt(psbt)) throw new TransactionDecodeError('Not a PSBT');
+  const tx = parse(psbt);
+  const utxos = spentOutputs(tx);
+  if (!Array.isArray(signatures) || signatures.length !== tx.inputsLength) {
+    throw new TransactionDecodeError(`PSBT has ${tx.inputsLength} input(s) but ${signatures ? signatures.length : 0} signature(s) were given`);
+  }
+
+  signatures.forEach((entry, i) => {
+    const { spent, hashType } = signingMode(tx, i, utxos);
+    const hash = sighash(tx, i, utxos);
+    const mismatch = () => new TransactionDecodeError(`Signature ${i + 1} does not sign input ${i} for the key it spends`, {
+      code: 'SIGNATURE_MISMATCH',
+      status: 422
+    });
+
+    let sig;
+    try {
+      sig = hexToBytes(entry && entry.signature, `signatures[${i}]`);
+    } catch (_) {
+      throw mismatch();
+    }
+    if (sig.length !== 64) throw mismatch();
+
+    if (spent.type === 'tr') {
+      if (!schnorr.verify(sig, hash, spent.pubkey)) throw mismatch();
+      const tapKeySig = hashType === SigHash.DEFAULT ? sig : Uint8Array.from([...sig, hashType]);
+      tx.updateInput(i, { tapKeySig }, true);
+      return;
+    }
+
+    // Standardness requires low-S; flipping S keeps the signature valid for the same key
+    const ecdsa = secp256k1.Signature.fromCompact(sig);
+    const pubkey = recoverSigner(ecdsa, entry.recoveryId, hash, spent.hash);
+    if (!pubkey || !secp256k1.verify(ecdsa.normalizeS(), hash, pubkey)) throw mismatch();
+    const der = ecdsa.normalizeS().toDERRawBytes();
+    tx.updateInput(i, { partialSig: [[pubkey, Uint8Array.from([...der, hashType])]] }, true);
+  });
+
+  try {
+    tx.finalize();
+  } catch (err) {
+    throw new TransactionDecodeError(`PSBT could not be finalized: ${err.message}`);
+  }
+  return {
+    psbt: base64.encode(tx.toPSBT()),
+    rawTransaction: bytesToHex(tx.extract()),
+    txid: tx.id
+  };
+}
+
+module.exports = { decode, finalize, isPsbt, sighash };
@@ -0,0 +1,50 @@
+// Helpers shared by the per-asset transaction decoders
+
+/**
+ * TransactionDecodeError - rawTxBytes could not be decoded or does not match what is being signed
+ * `code` is stable for the UI; `status` is the HTTP status the route answers with
+ */
+class TransactionDecodeError extends Error {
+  constructor(message, { code = 'DECODE_ERROR', status = 400, details = null } = {}) {
+    super(message);
+    this.name = 'TransactionDecodeError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Hex string (optional 0x) to bytes
+ * @param {string} hex
+ * @param {string} [label] field name for the error message
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex, label = 'rawTxBytes') {
+  const clean = String(hex || '').trim().replace(/^0x/i, '');
+  if (clean.length === 0 || clean.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(clean)) {
+    throw new TransactionDecodeError(`${label} is not valid hex`);
+  }
+  return Uint8Array.from(Buffer.from(clean, 'hex'));
+}
+
+function bytesToHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Integer amount in base units to a decimal string (e.g. 150000 sats, 8 -> "0.0015")
+ * @param {bigint|number|string} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatUnits(value, decimals) {
+  const v = BigInt(value);
+  const negative = v < 0n;
+  const digits = (negative ? -v : v).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+module.exports = { TransactionDecodeError, hexToBytes, bytesToHex, formatUnits };
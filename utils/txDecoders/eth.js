@@ -0,0 +1,162 @@
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { utf8ToBytes } = require('@noble/hashes/utils');
+const { TransactionDecodeError, hexToBytes, bytesToHex, formatUnits } = require('./common');
+
+// Ethereum: rawTxBytes is the unsigned RLP payload (legacy/EIP-155, EIP-2930 or EIP-1559).
+// The sighash is keccak256 of exactly those bytes.
+
+const DECIMALS = 18;
+const ERC20_TRANSFER = 'a9059cbb';
+
+// Minimal RLP decoder: byte strings stay Uint8Array, lists become arrays
+function rlpDecode(bytes) {
+  const [item, rest] = rlpItem(bytes, 0);
+  if (rest !== bytes.length) throw new TransactionDecodeError('Trailing bytes after the RLP payload');
+  return item;
+}
+
+function rlpLength(bytes, offset, lenOfLen) {
+  if (offset + lenOfLen > bytes.length) throw new TransactionDecodeError('Truncated RLP length');
+  let len = 0;
+  for (let i = 0; i < lenOfLen; i++) len = len * 256 + bytes[offset + i];
+  return len;
+}
+
+function rlpItem(bytes, offset) {
+  if (offset >= bytes.length) throw new TransactionDecodeError('Truncated RLP payload');
+  const prefix = bytes[offset];
+  let start;
+  let len;
+  let isList = false;
+
+  if (prefix < 0x80) return [bytes.slice(offset, offset + 1), offset + 1];
+  if (prefix <= 0xb7) {
+    start = offset + 1;
+    len = prefix - 0x80;
+  } else if (prefix <= 0xbf) {
+    len = rlpLength(bytes, offset + 1, prefix - 0xb7);
+    start = offset + 1 + (prefix - 0xb7);
+  } else if (prefix <= 0xf7) {
+    isList = true;
+    start = offset + 1;
+    len = prefix - 0xc0;
+  } else {
+    isList = true;
+    len = rlpLength(bytes, offset + 1, prefix - 0xf7);
+    start = offset + 1 + (prefix - 0xf7);
+  }
+
+  const end = start + len;
+  if (end > bytes.length) throw new TransactionDecodeError('Truncated RLP payload');
+  if (!isList) return [bytes.slice(start, end), end];
+
+  const list = [];
+  let cursor = start;
+  while (cursor < end) {
+    const [child, next] = rlpItem(bytes, cursor);
+    list.push(child);
+    cursor = next;
+  }
+  return [list, end];
+}
+
+function toBigInt(bytes) {
+  if (!(bytes instanceof Uint8Array)) throw new TransactionDecodeError('Expected an RLP integer');
+  return bytes.length === 0 ? 0n : BigInt(`0x${bytesToHex(bytes)}`);
+}
+
+function isEmpty(item) {
+  return item instanceof Uint8Array && item.length === 0;
+}
+
+function toChecksumAddress(bytes) {
+  const lower = bytesToHex(bytes);
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+  let out = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return out;
+}
+
+// Field order of each transaction type (after the optional type byte)
+function fieldsOf(type, list) {
+  const n = (i) => toBigInt(list[i]);
+  if (type === 2) {
+    return {
+      chainId: n(0), nonce: n(1), maxPriorityFeePerGas: n(2), maxFeePerGas: n(3), gasLimit: n(4),
+      to: list[5], value: n(6), data: list[7]
+    };
+  }
+  if (type === 1) {
+    return { chainId: n(0), nonce: n(1), gasPrice: n(2), gasLimit: n(3), to: list[4], value: n(5), data: list[6] };
+  }
+  // Legacy: EIP-155 appends [chainId, 0, 0]; pre-EIP-155 transactions have no chain ID
+  return {
+    chainId: list.length === 9 ? n(6) : null, nonce: n(0), gasPrice: n(1), gasLimit: n(2), to: list[3], value: n(4), data: list[5]
+  };
+}
+
+/**
+ * Decode an unsigned Ethereum transaction and compute its sighash
+ * @param {string} rawTxBytes
+ * @returns {Object} decoded transaction (see utils/transactionReview.js)
+ */
+function decode(rawTxBytes) {
+  const bytes = hexToBytes(rawTxBytes);
+  const type = bytes[0] >= 0xc0 ? 0 : bytes[0];
+  if (![0, 1, 2].includes(type)) throw new TransactionDecodeError(`Unsupported Ethereum transaction type ${type}`);
+
+  const list = rlpDecode(type === 0 ? bytes : bytes.slice(1));
+  const expected = { 0: [6, 9], 1: [8], 2: [9] }[type];
+  if (!Array.isArray(list) || !expected.includes(list.length)) {
+    throw new TransactionDecodeError('Not an unsigned Ethereum transaction (signed or malformed payload)');
+  }
+  // An unsigned EIP-155 payload ends [chainId, 0, 0]; a signed legacy transaction also has 9 fields (v, r, s)
+  if (type === 0 && list.length === 9 && !(isEmpty(list[7]) && isEmpty(list[8]))) {
+    throw new TransactionDecodeError('Not an unsigned Ethereum transaction (an EIP-155 payload ends [chainId, 0, 0]: signed payload?)');
+  }
+
+  const f = fieldsOf(type, list);
+  if (!(f.to instanceof Uint8Array) || f.to.length !== 20) {
+    throw new TransactionDecodeError('Contract creation is not supported: the transaction has no recipient');
+  }
+
+  const to = toChecksumAddress(f.to);
+  const data = bytesToHex(f.data);
+  const maxFeePerGas = type === 2 ? f.maxFeePerGas : f.gasPrice;
+  const recipients = [{ address: to, amount: formatUnits(f.value, DECIMALS) }];
+
+  // ERC-20 transfer(address,uint256): the tokens go to the encoded address, not to the contract
+  let token = null;
+  if (data.startsWith(ERC20_TRANSFER) && data.length === 8 + 128) {
+    token = {
+      contract: to,
+      to: toChecksumAddress(hexToBytes(data.slice(8 + 24, 8 + 64))),
+      amount: BigInt(`0x${data.slice(8 + 64)}`).toString() // base units: decimals depend on the token
+    };
+  }
+
+  return {
+    asset: 'ETH',
+    recipients,
+    amount: formatUnits(f.value, DECIMALS),
+    fee: formatUnits(f.gasLimit * maxFeePerGas, DECIMALS), // upper bound: gasLimit × (max) gas price
+    details: {
+      type,
+      chainId: f.chainId === null ? null : f.chainId.toString(),
+      nonce: f.nonce.toString(),
+      gasLimit: f.gasLimit.toString(),
+      gasPrice: type === 2 ? undefined : f.gasPrice.toString(),
+      maxFeePerGas: type === 2 ? f.maxFeePerGas.toString() : undefined,
+      maxPriorityFeePerGas: type === 2 ? f.maxPriorityFeePerGas.toString() : undefined,
+      to,
+      value: f.value.toString(),
+      data: data ? `0x${data}` : '0x',
+      token
+    },
+    sighashes: [bytesToHex(keccak_256(bytes))]
+  };
+}
+
+module.exports = { decode, toChecksumAddress };
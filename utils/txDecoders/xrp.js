@@ -0,0 +1,244 @@
+const { sha256 } = require('@noble/hashes/sha256');
+const { sha512 } = require('@noble/hashes/sha512');
+const { base58xrp } = require('@scure/base');
+const { TransactionDecodeError, hexToBytes, bytesToHex, formatUnits } = require('./common');
+
+// XRP Ledger: rawTxBytes is the canonical binary serialization of the unsigned transaction
+// (with SigningPubKey). The single-signing sighash is SHA-512Half(0x53545800 || rawTxBytes).
+
+const DECIMALS = 6;
+const SIGNING_PREFIX = Uint8Array.from([0x53, 0x54, 0x58, 0x00]);
+
+const TYPES = {
+  1: 'UInt16', 2: 'UInt32', 3: 'UInt64', 4: 'Hash128', 5: 'Hash256', 6: 'Amount', 7: 'Blob', 8: 'AccountID',
+  14: 'STObject', 15: 'STArray', 16: 'UInt8', 17: 'Hash160', 18: 'PathSet', 19: 'Vector256', 21: 'Hash192', 26: 'Currency'
+};
+const FIXED_SIZE = { UInt16: 2, UInt32: 4, UInt64: 8, Hash128: 16, Hash256: 32, UInt8: 1, Hash160: 20, Hash192: 24, Currency: 20 };
+
+// Field names by type and field code (the subset transactions use)
+const FIELDS = {
+  UInt16: { 2: 'TransactionType', 3: 'SignerWeight', 4: 'TransferFee' },
+  UInt32: {
+    1: 'NetworkID', 2: 'Flags', 3: 'SourceTag', 4: 'Sequence', 10: 'Expiration', 11: 'TransferRate',
+    14: 'DestinationTag', 25: 'OfferSequence', 27: 'LastLedgerSequence', 33: 'SetFlag', 34: 'ClearFlag',
+    35: 'SignerQuorum', 36: 'CancelAfter', 37: 'FinishAfter', 41: 'TicketSequence'
+  },
+  Amount: { 1: 'Amount', 3: 'LimitAmount', 4: 'TakerPays', 5: 'TakerGets', 8: 'Fee', 9: 'SendMax', 10: 'DeliverMin' },
+  Hash256: { 9: 'AccountTxnID', 17: 'InvoiceID' },
+  Blob: { 3: 'SigningPubKey', 4: 'TxnSignature', 7: 'Domain', 12: 'MemoType', 13: 'MemoData', 14: 'MemoFormat' },
+  AccountID: { 1: 'Account', 2: 'Owner', 3: 'Destination', 4: 'Issuer', 8: 'RegularKey' },
+  STObject: { 10: 'Memo', 16: 'Signer', 11: 'SignerEntry' },
+  STArray: { 3: 'Signers', 4: 'SignerEntries', 9: 'Memos' }
+};
+
+const TRANSACTION_TYPES = {
+  0: 'Payment', 1: 'EscrowCreate', 2: 'EscrowFinish', 3: 'AccountSet', 4: 'EscrowCancel', 5: 'SetRegularKey',
+  7: 'OfferCreate', 8: 'OfferCancel', 10: 'TicketCreate', 12: 'SignerListSet', 13: 'PaymentChannelCreate',
+  20: 'TrustSet', 21: 'AccountDelete'
+};
+
+const OBJECT_END = 0xe1;
+const ARRAY_END = 0xf1;
+
+/**
+ * Classic address of a 20-byte AccountID
+ * @param {Uint8Array} accountId
+ * @returns {string}
+ */
+function encodeAccountId(accountId) {
+  const payload = Uint8Array.from([0x00, ...accountId]);
+  const checksum = sha256(sha256(payload)).slice(0, 4);
+  return base58xrp.encode(Uint8Array.from([...payload, ...checksum]));
+}
+
+function decodeCurrency(bytes) {
+  const standard = bytes.every((b, i) => (i >= 12 && i < 15) || b === 0);
+  if (standard) {
+    const code = Buffer.from(bytes.slice(12, 15)).toString('ascii');
+    return code === '\0\0\0' ? 'XRP' : code;
+  }
+  return bytesToHex(bytes).toUpperCase();
+}
+
+// Issued-currency value: sign bit, 8-bit exponent (+97), 54-bit mantissa
+function decodeIssuedValue(bytes) {
+  const raw = BigInt(`0x${bytesToHex(bytes)}`);
+  const mantissa = raw & ((1n << 54n) - 1n);
+  if (mantissa === 0n) return '0';
+  const exponent = Number((raw >> 54n) & 0xffn) - 97;
+  const sign = (raw >> 62n) & 1n ? '' : '-';
+  if (exponent >= 0) return `${sign}${mantissa * 10n ** BigInt(exponent)}`;
+  return `${sign}${formatUnits(mantissa, -exponent)}`;
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  take(n) {
+    if (this.pos + n > this.bytes.length) throw new TransactionDecodeError('Truncated XRP transaction');
+    const out = this.bytes.slice(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  byte() {
+    return this.take(1)[0];
+  }
+
+  peek() {
+    return this.bytes[this.pos];
+  }
+
+  lengthPrefix() {
+    const b1 = this.byte();
+    if (b1 <= 192) return b1;
+    if (b1 <= 240) return 193 + (b1 - 193) * 256 + this.byte();
+    if (b1 <= 254) return 12481 + (b1 - 241) * 65536 + this.byte() * 256 + this.byte();
+    throw new TransactionDecodeError('Invalid XRP length prefix');
+  }
+
+  fieldHeader() {
+    const b = this.byte();
+    let type = b >> 4;
+    let nth = b & 0x0f;
+    if (type === 0) type = this.byte();
+    if (nth === 0) nth = this.byte();
+    return { type, nth };
+  }
+}
+
+function readAmount(reader) {
+  const first = reader.peek();
+  if ((first & 0x80) === 0) {
+    const raw = BigInt(`0x${bytesToHex(reader.take(8))}`);
+    const drops = raw & ((1n << 62n) - 1n);
+    return { currency: 'XRP', value: formatUnits(drops, DECIMALS), drops: drops.toString() };
+  }
+  const value = decodeIssuedValue(reader.take(8));
+  return { currency: decodeCurrency(reader.take(20)), issuer: encodeAccountId(reader.take(20)), value };
+}
+
+function readPathSet(reader) {
+  const paths = [[]];
+  while (true) {
+    const flags = reader.byte();
+    if (flags === 0x00) return paths;
+    if (flags === 0xff) {
+      paths.push([]);
+      continue;
+    }
+    const step = {};
+    if (flags & 0x01) step.account = encodeAccountId(reader.take(20));
+    if (flags & 0x10) step.currency = decodeCurrency(reader.take(20));
+    if (flags & 0x20) step.issuer = encodeAccountId(reader.take(20));
+    paths[paths.length - 1].push(step);
+  }
+}
+
+function readValue(reader, typeName) {
+  if (FIXED_SIZE[typeName]) {
+    const bytes = reader.take(FIXED_SIZE[typeName]);
+    if (typeName === 'Currency') return decodeCurrency(bytes);
+    if (['UInt8', 'UInt16', 'UInt32'].includes(typeName)) return Number(BigInt(`0x${bytesToHex(bytes)}`));
+    if (typeName === 'UInt64') return BigInt(`0x${bytesToHex(bytes)}`).toString();
+    return bytesToHex(bytes).toUpperCase();
+  }
+  switch (typeName) {
+    case 'Amount': return readAmount(reader);
+    case 'Blob': return bytesToHex(reader.take(reader.lengthPrefix())).toUpperCase();
+    case 'AccountID': {
+      const id = reader.take(reader.lengthPrefix());
+      if (id.length !== 20) throw new TransactionDecodeError('Invalid XRP AccountID');
+      return encodeAccountId(id);
+    }
+    case 'Vector256': {
+      const bytes = reader.take(reader.lengthPrefix());
+      const hashes = [];
+      for (let i = 0; i < bytes.length; i += 32) hashes.push(bytesToHex(bytes.slice(i, i + 32)).toUpperCase());
+      return hashes;
+    }
+    case 'PathSet': return readPathSet(reader);
+    case 'STObject': return readObject(reader, OBJECT_END);
+    case 'STArray': {
+      const items = [];
+      while (reader.peek() !== ARRAY_END) {
+        const { type, nth } = reader.fieldHeader();
+        if (TYPES[type] !== 'STObject') throw new TransactionDecodeError('XRP array holds a non-object');
+        items.push({ [fieldName('STObject', nth)]: readObject(reader, OBJECT_END) });
+      }
+      reader.take(1);
+      return items;
+    }
+    default:
+      throw new TransactionDecodeError(`Unsupported XRP field type ${typeName}`);
+  }
+}
+
+function fieldName(typeName, nth) {
+  return (FIELDS[typeName] && FIELDS[typeName][nth]) || `${typeName}_${nth}`;
+}
+
+function readObject(reader, endMarker) {
+  const fields = {};
+  while (!reader.done && !(endMarker && reader.peek() === endMarker)) {
+    const { type, nth } = reader.fieldHeader();
+    const typeName = TYPES[type];
+    if (!typeName) throw new TransactionDecodeError(`Unknown XRP field type code ${type}`);
+    fields[fieldName(typeName, nth)] = readValue(reader, typeName);
+  }
+  if (endMarker) reader.take(1);
+  return fields;
+}
+
+/**
+ * Decode a binary XRP transaction and compute its sighash
+ * @param {string} rawTxBytes
+ * @returns {Object} decoded transaction (see utils/transactionReview.js)
+ */
+function decode(rawTxBytes) {
+  const bytes = hexToBytes(rawTxBytes);
+  const fields = readObject(new Reader(bytes), null);
+
+  if (fields.TransactionType === undefined || !fields.Account || !fields.Fee) {
+    throw new TransactionDecodeError('Not an XRP transaction (TransactionType, Account or Fee missing)');
+  }
+  if (fields.TxnSignature) throw new TransactionDecodeError('XRP transaction is already signed');
+  if (fields.Fee.currency !== 'XRP') throw new TransactionDecodeError('XRP Fee must be in drops');
+
+  const type = TRANSACTION_TYPES[fields.TransactionType] || `Type ${fields.TransactionType}`;
+  const amount = fields.Amount || null;
+  const recipients = type === 'Payment' && fields.Destination && amount
+    ? [{ address: fields.Destination, amount: amount.value, currency: amount.currency === 'XRP' ? undefined : amount.currency }]
+    : [];
+
+  return {
+    asset: 'XRP',
+    from: fields.Account,
+    recipients,
+    amount: amount ? amount.value : '0',
+    fee: fields.Fee.value,
+    details: {
+      TransactionType: type,
+      Account: fields.Account,
+      Destination: fields.Destination || null,
+      DestinationTag: fields.DestinationTag === undefined ? null : fields.DestinationTag,
+      Amount: amount,
+      Fee: fields.Fee.drops,
+      Sequence: fields.Sequence === undefined ? null : fields.Sequence,
+      Flags: fields.Flags === undefined ? 0 : fields.Flags,
+      LastLedgerSequence: fields.LastLedgerSequence === undefined ? null : fields.LastLedgerSequence,
+      NetworkID: fields.NetworkID === undefined ? null : fields.NetworkID,
+      fields
+    },
+    sighashes: [bytesToHex(sha512(Uint8Array.from([...SIGNING_PREFIX, ...bytes])).slice(0, 32))]
+  };
+}
+
+module.exports = { decode, encodeAccountId };
@@ -0,0 +1,94 @@
+const { taprootOutputKey, bitcoinNetwork } = require('./addressDerivation');
+const assetRegistry = require('./assetRegistry');
+
+/**
+ * Watch-only account export for companion apps, built from a stored wallet record
+ * BTC carries an output descriptor (BIP-380); ETH and XRP carry the group public key.
+ * The TSS group key has no chain code, so there is no xpub: the descriptor is single-key,
+ * wpkh(<key>) or tr(<x-only key>), or addr(<address>) for wallets saved without their key.
+ * Every export names the wallet's network (and the chain ID of an EVM network).
+ */
+
+const FORMAT = 'coldwallet-watch-only';
+const VERSION = 1;
+
+// BIP-380 descriptor checksum
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+function polymod(symbols) {
+  let chk = 1n;
+  for (const value of symbols) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    GENERATOR.forEach((g, i) => {
+      if ((top >> BigInt(i)) & 1n) chk ^= g;
+    });
+  }
+  return chk;
+}
+
+/**
+ * @param {string} descriptor without checksum
+ * @returns {string} descriptor#checksum
+ */
+function withChecksum(descriptor) {
+  const symbols = [];
+  let groups = [];
+  for (const c of descriptor) {
+    const v = INPUT_CHARSET.indexOf(c);
+    if (v === -1) throw new Error(`Invalid descriptor character ${c}`);
+    symbols.push(v & 31);
+    groups.push(v >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups = [];
+    }
+  }
+  if (groups.length === 1) symbols.push(groups[0]);
+  if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1]);
+
+  const checksum = polymod(symbols.concat([0, 0, 0, 0, 0, 0, 0, 0])) ^ 1n;
+  let suffix = '';
+  for (let i = 0; i < 8; i++) suffix += CHECKSUM_CHARSET[Number((checksum >> BigInt(5 * (7 - i))) & 31n)];
+  return `${descriptor}#${suffix}`;
+}
+
+/**
+ * Output descriptor of a BTC wallet address
+ * @param {string} address
+ * @param {string|null} publicKey compressed group key (hex)
+ * @param {Object} [network] wallet network's address prefixes (default: mainnet)
+ * @returns {string}
+ */
+function outputDescriptor(address, publicKey, network) {
+  if (!publicKey) return withChecksum(`addr(${address})`);
+  return withChecksum(taprootOutputKey(address, network) ? `tr(${publicKey.slice(2)})` : `wpkh(${publicKey})`);
+}
+
+/**
+ * @param {Wallet} wallet stored wallet record
+ * @returns {Object} { format, version, partyGUID, walletName, asset, network, chainId?, address, threshold, size, publicKey, descriptor? }
+ */
+function buildWatchOnlyExport(wallet) {
+  const publicKey = wallet.groupPublicKey || null;
+  const network = assetRegistry.network(wallet.asset, wallet.network);
+  const btcNetwork = bitcoinNetwork(wallet.asset, network.name);
+  return {
+    format: FORMAT,
+    version: VERSION,
+    partyGUID: wallet.partyGUID,
+    walletName: wallet.walletName || null,
+    asset: wallet.asset,
+    network: network.name,
+    ...(network.chainId !== undefined ? { chainId: network.chainId } : {}),
+    address: wallet.address,
+    threshold: wallet.threshold,
+    size: wallet.size,
+    publicKey,
+    ...(btcNetwork ? { descriptor: outputDescriptor(wallet.address, publicKey, btcNetwork) } : {})
+  };
+}
+
+module.exports = { buildWatchOnlyExport, outputDescriptor, withChecksum };
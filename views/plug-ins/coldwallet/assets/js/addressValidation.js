@@ -0,0 +1,274 @@
+/*
+ * addressValidation.js
+ * One-file UMD module that checks a receive address's format and checksum, shared by the Cold Wallet
+ * UI (transaction form) and the server (utils/assetRegistry.js). The asset registry entry
+ * (config/assets.js) names the address format and carries the per-network prefixes:
+ *   - bitcoin: base58check P2PKH/P2SH and bech32 (segwit v0) / bech32m (v1+, Taproot)
+ *   - evm: 0x + 40 hex characters; mixed case must carry a valid EIP-55 checksum
+ *   - xrpl: classic r-address and X-address (account + optional destination tag)
+ *
+ * validateAddress(asset, address, { network }) -> { valid: true, asset, type, network, ... }
+ *                                              | { valid: false, error } (a message for the user)
+ * SHA-256 and Keccak-256 come from hashes.js (loaded first). Works in browsers and Node.
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./hashes'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./hashes'));
+  } else {
+    root.AddressValidation = factory(root.Hashes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Hashes) {
+  'use strict';
+
+  // Base58check checksums and EIP-55 (hashes.js)
+  var sha256 = Hashes.sha256;
+  var keccak256 = Hashes.keccak256;
+
+  // ---------------- Base58check ----------------
+  var BTC_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  var XRP_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+
+  // Payload bytes, or null when the string isn't base58 or its double-SHA-256 checksum is wrong
+  function base58checkDecode(text, alphabet) {
+    var bytes = []; // little-endian
+    for (var i = 0; i < text.length; i++) {
+      var carry = alphabet.indexOf(text.charAt(i));
+      if (carry === -1) return null;
+      for (var j = 0; j < bytes.length; j++) {
+        carry += bytes[j] * 58;
+        bytes[j] = carry & 0xff;
+        carry >>= 8;
+      }
+      while (carry > 0) {
+        bytes.push(carry & 0xff);
+        carry >>= 8;
+      }
+    }
+    // Each leading "zero" character is a leading zero byte
+    for (i = 0; i < text.length && text.charAt(i) === alphabet.charAt(0); i++) bytes.push(0);
+    var decoded = new Uint8Array(bytes.reverse());
+    if (decoded.length < 5) return null;
+
+    var payload = decoded.slice(0, -4);
+    var checksum = sha256(sha256(payload));
+    for (i = 0; i < 4; i++) {
+      if (checksum[i] !== decoded[payload.length + i]) return null;
+    }
+    return payload;
+  }
+
+  // ---------------- Bech32 / bech32m (BIP-173, BIP-350) ----------------
+  var BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+  var BECH32_CONST = 1;
+  var BECH32M_CONST = 0x2bc830a3;
+
+  function bech32Polymod(values) {
+    var GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    var chk = 1;
+    values.forEach(function (v) {
+      var top = chk >>> 25;
+      chk = ((chk & 0x1ffffff) << 5) ^ v;
+      for (var i = 0; i < 5; i++) {
+        if ((top >>> i) & 1) chk ^= GEN[i];
+      }
+    });
+    return chk >>> 0;
+  }
+
+  // { hrp, data (5-bit words), encoding: 'bech32' | 'bech32m' } or null
+  function bech32Decode(text) {
+    if (text.length > 90 || (text !== text.toLowerCase() && text !== text.toUpperCase())) return null;
+    var lower = text.toLowerCase();
+    var sep = lower.lastIndexOf('1');
+    if (sep < 1 || sep + 7 > lower.length) return null;
+
+    var hrp = lower.slice(0, sep);
+    var data = [];
+    for (var i = sep + 1; i < lower.length; i++) {
+      var v = BECH32_CHARSET.indexOf(lower.charAt(i));
+      if (v === -1) return null;
+      data.push(v);
+    }
+    var expanded = [];
+    for (i = 0; i < hrp.length; i++) expanded.push(hrp.charCodeAt(i) >> 5);
+    expanded.push(0);
+    for (i = 0; i < hrp.length; i++) expanded.push(hrp.charCodeAt(i) & 31);
+
+    var check = bech32Polymod(expanded.concat(data));
+    var encoding = check === BECH32_CONST ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+    if (!encoding) return null;
+    return { hrp: hrp, data: data.slice(0, -6), encoding: encoding };
+  }
+
+  // 5-bit words -> bytes (no padding beyond 4 zero bits allowed)
+  function fromWords(words) {
+    var acc = 0, bits = 0, out = [];
+    for (var i = 0; i < words.length; i++) {
+      acc = (acc << 5) | words[i];
+      bits += 5;
+      while (bits >= 8) {
+        bits -= 8;
+        out.push((acc >> bits) & 0xff);
+      }
+    }
+    if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) return null;
+    return out;
+  }
+
+  function invalid(error) {
+    return { valid: false, error: error };
+  }
+
+  function wrongNetwork(asset, found, network) {
+    var networks = asset.address.networks;
+    var label = function (n) { return (networks[n] && networks[n].label) || n; };
+    return invalid(asset.name + ' address is for ' + label(found) + ', but this wallet is on ' + label(network));
+  }
+
+  // Network whose prefixes match, preferring the wallet's own (signet and testnet share theirs)
+  function networkWhere(networks, network, matches) {
+    if (networks[network] && matches(networks[network])) return network;
+    return Object.keys(networks).filter(function (name) { return matches(networks[name]); })[0] || null;
+  }
+
+  // ---------------- bitcoin: base58check + bech32/bech32m ----------------
+  function validateBitcoin(asset, address, network) {
+    var name = asset.name;
+    var networks = asset.address.networks;
+    var net = networks[network];
+
+    var sep = address.lastIndexOf('1');
+    var hrp = sep > 0 ? address.slice(0, sep).toLowerCase() : null;
+    var hrpNetwork = hrp ? networkWhere(networks, network, function (n) { return n.bech32 === hrp; }) : null;
+    if (hrpNetwork) {
+      var bech = bech32Decode(address);
+      if (!bech) return invalid(name + ' address checksum is wrong: check for a typo');
+      if (hrpNetwork !== network) return wrongNetwork(asset, hrpNetwork, network);
+
+      var version = bech.data[0];
+      var program = fromWords(bech.data.slice(1));
+      if (version === undefined || version > 16 || !program || program.length < 2 || program.length > 40) {
+        return invalid(name + ' address has an invalid witness program');
+      }
+      if (version === 0 && program.length !== 20 && program.length !== 32) {
+        return invalid('Segwit v0 addresses hold a 20- or 32-byte program');
+      }
+      if ((version === 0) !== (bech.encoding === 'bech32')) {
+        return invalid(version === 0
+          ? 'Segwit v0 address must use bech32, not bech32m'
+          : 'Segwit v' + version + ' (Taproot) address must use bech32m, not bech32');
+      }
+      var type = version === 0 ? (program.length === 20 ? 'p2wpkh' : 'p2wsh') : version === 1 && program.length === 32 ? 'p2tr' : 'witness_v' + version;
+      return { valid: true, asset: asset.symbol, type: type, network: network };
+    }
+
+    var payload = base58checkDecode(address, BTC_ALPHABET);
+    if (!payload) {
+      return invalid(/^[1-9A-HJ-NP-Za-km-z]{25,35}$/.test(address)
+        ? name + ' address checksum is wrong: check for a typo'
+        : 'Not a valid ' + name + ' address');
+    }
+    if (payload.length !== 21) return invalid('Not a valid ' + name + ' address');
+
+    var prefix = payload[0];
+    if (prefix === net.pubKeyHash) return { valid: true, asset: asset.symbol, type: 'p2pkh', network: network };
+    if (prefix === net.scriptHash) return { valid: true, asset: asset.symbol, type: 'p2sh', network: network };
+    var other = networkWhere(networks, network, function (n) { return n.pubKeyHash === prefix || n.scriptHash === prefix; });
+    return other ? wrongNetwork(asset, other, network) : invalid('Not a valid ' + name + ' address');
+  }
+
+  // ---------------- evm: 0x + EIP-55 ----------------
+  /**
+   * EIP-55 mixed-case form of a 0x address
+   * @param {string} address 0x + 40 hex
+   * @returns {string}
+   */
+  function toChecksumAddress(address) {
+    var hex = address.slice(2).toLowerCase();
+    var hash = keccak256(new TextEncoder().encode(hex));
+    var out = '0x';
+    for (var i = 0; i < 40; i++) {
+      var nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0x0f;
+      out += nibble >= 8 ? hex.charAt(i).toUpperCase() : hex.charAt(i);
+    }
+    return out;
+  }
+
+  function validateEvm(asset, address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return invalid(asset.name + ' addresses are 0x followed by 40 hexadecimal characters');
+    }
+    var body = address.slice(2);
+    var checksummed = body !== body.toLowerCase() && body !== body.toUpperCase();
+    if (checksummed && toChecksumAddress(address) !== address) {
+      return invalid(asset.name + ' address checksum (EIP-55 capitalisation) is wrong: check for a typo');
+    }
+    return { valid: true, asset: asset.symbol, type: 'account', network: null, checksummed: checksummed };
+  }
+
+  // ---------------- xrpl: classic r-address + X-address ----------------
+  function validateXrpl(asset, address, network) {
+    var name = asset.name;
+
+    if (/^r/.test(address)) {
+      var payload = base58checkDecode(address, XRP_ALPHABET);
+      if (!payload || payload.length !== 21 || payload[0] !== 0x00) {
+        return invalid(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(address)
+          ? name + ' address checksum is wrong: check for a typo'
+          : 'Not a valid ' + name + ' address');
+      }
+      return { valid: true, asset: asset.symbol, type: 'classic', network: null };
+    }
+
+    if (/^[XT]/.test(address)) {
+      var x = base58checkDecode(address, XRP_ALPHABET);
+      if (!x || x.length !== 31) return invalid('Not a valid ' + name + ' X-address (wrong checksum or length)');
+      var found = networkWhere(asset.address.networks, network, function (n) {
+        return n.xAddressPrefix && x[0] === n.xAddressPrefix[0] && x[1] === n.xAddressPrefix[1];
+      });
+      if (!found) return invalid('Not a valid ' + name + ' X-address');
+      if (found !== network) return wrongNetwork(asset, found, network);
+
+      var flag = x[22];
+      var tagBytes = x.slice(23, 31);
+      if (flag > 1 || tagBytes[4] || tagBytes[5] || tagBytes[6] || tagBytes[7] || (flag === 0 && (tagBytes[0] || tagBytes[1] || tagBytes[2] || tagBytes[3]))) {
+        return invalid(name + ' X-address has an invalid destination tag');
+      }
+      var tag = flag === 1 ? (tagBytes[0] | (tagBytes[1] << 8) | (tagBytes[2] << 16)) + tagBytes[3] * 0x1000000 : null;
+      return { valid: true, asset: asset.symbol, type: 'x-address', network: network, destinationTag: tag };
+    }
+
+    return invalid(name + ' addresses start with r (classic) or X (X-address)');
+  }
+
+  // ---------------- API ----------------
+  var FORMATS = { bitcoin: validateBitcoin, evm: validateEvm, xrpl: validateXrpl };
+
+  /**
+   * @param {Object} asset asset registry entry ({ symbol, name, address: { format, networks, defaultNetwork } })
+   * @param {string} address
+   * @param {Object} [opts]
+   * @param {string} [opts.network] one of the asset's networks (default: its defaultNetwork)
+   * @returns {Object} { valid: true, asset, type, network, ... } or { valid: false, error }
+   */
+  function validateAddress(asset, address, opts) {
+    var spec = asset && asset.address;
+    var validator = spec && FORMATS[spec.format];
+    if (!validator) return invalid('Unsupported asset ' + (asset && asset.symbol));
+
+    var network = (opts && opts.network) || spec.defaultNetwork;
+    if (!spec.networks || !spec.networks[network]) return invalid('Unknown ' + asset.name + ' network ' + network);
+
+    var text = String(address === undefined || address === null ? '' : address).trim();
+    if (!text) return invalid('Address is required');
+    return validator(asset, text, network);
+  }
+
+  return {
+    FORMATS: Object.keys(FORMATS),
+    validateAddress: validateAddress,
+    toChecksumAddress: toChecksumAddress
+  };
+});
@@ -0,0 +1,157 @@
+/*
+ * hashes.js
+ * One-file UMD module with the hash functions the Cold Wallet's browser/Node modules share:
+ *   - sha256: base58check checksums (addressValidation.js) and the UR fountain-code seed (ur.js)
+ *   - keccak256: Ethereum's Keccak-256 (0x01 padding, not SHA3-256), for EIP-55 checksums
+ *   - crc32: CRC-32 (IEEE), the UR bytewords and fragment checksum
+ * All synchronous (crypto.subtle is not): the fountain PRNG is seeded while a QR frame is built.
+ * Loaded before ur.js and addressValidation.js, which take it as a dependency. No dependencies;
+ * works in browsers and Node.
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Hashes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ---------------- SHA-256 ----------------
+  var K256 = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+
+  function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  }
+
+  function sha256(bytes) {
+    var h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    var padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    var view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length * 8 / 0x100000000));
+
+    var w = new Uint32Array(64);
+    for (var off = 0; off < padded.length; off += 64) {
+      for (var i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+      for (i = 16; i < 64; i++) {
+        var s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        var s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+      for (i = 0; i < 64; i++) {
+        var t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K256[i] + w[i]) >>> 0;
+        var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+        hh = g; g = f; f = e; e = (d + t1) >>> 0; d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+
+    var out = new Uint8Array(32);
+    var outView = new DataView(out.buffer);
+    for (i = 0; i < 8; i++) outView.setUint32(i * 4, h[i]);
+    return out;
+  }
+
+  // ---------------- Keccak-256 (Ethereum's, not SHA3-256: 0x01 padding) ----------------
+  var MASK64 = (BigInt(1) << BigInt(64)) - BigInt(1);
+  var ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+  var ROUND_CONSTANTS = (function () {
+    var constants = [];
+    var r = 1;
+    for (var round = 0; round < 24; round++) {
+      var rc = BigInt(0);
+      for (var j = 0; j < 7; j++) {
+        r = ((r << 1) ^ ((r >> 7) * 0x71)) & 0xff;
+        if (r & 2) rc ^= BigInt(1) << BigInt((1 << j) - 1);
+      }
+      constants.push(rc);
+    }
+    return constants;
+  })();
+
+  function rotl64(x, n) {
+    if (n === 0) return x;
+    return ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64;
+  }
+
+  function keccakF(state) {
+    var c = new Array(5);
+    var b = new Array(25);
+    for (var round = 0; round < 24; round++) {
+      var x, y;
+      for (x = 0; x < 5; x++) c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+      for (x = 0; x < 5; x++) {
+        var d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+        for (y = 0; y < 25; y += 5) state[x + y] ^= d;
+      }
+      for (x = 0; x < 5; x++) {
+        for (y = 0; y < 5; y++) b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+      for (y = 0; y < 25; y += 5) {
+        for (x = 0; x < 5; x++) state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK64 & b[(x + 2) % 5 + y]);
+      }
+      state[0] ^= ROUND_CONSTANTS[round];
+    }
+  }
+
+  function keccak256(bytes) {
+    var RATE = 136;
+    var padded = new Uint8Array(Math.floor(bytes.length / RATE + 1) * RATE);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    var state = [];
+    for (var i = 0; i < 25; i++) state.push(BigInt(0));
+    for (var off = 0; off < padded.length; off += RATE) {
+      for (i = 0; i < RATE / 8; i++) {
+        var lane = BigInt(0);
+        for (var k = 7; k >= 0; k--) lane = (lane << BigInt(8)) | BigInt(padded[off + i * 8 + k]);
+        state[i] ^= lane;
+      }
+      keccakF(state);
+    }
+
+    var out = new Uint8Array(32);
+    for (i = 0; i < 32; i++) out[i] = Number((state[i >> 3] >> BigInt(8 * (i & 7))) & BigInt(0xff));
+    return out;
+  }
+
+  // ---------------- CRC-32 (IEEE) ----------------
+  var CRC_TABLE = (function () {
+    var table = new Uint32Array(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    var crc = 0xffffffff;
+    for (var i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  return {
+    sha256: sha256,
+    keccak256: keccak256,
+    crc32: crc32
+  };
+});
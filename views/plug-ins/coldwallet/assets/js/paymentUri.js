@@ -0,0 +1,221 @@
+/*
+ * paymentUri.js
+ * One-file UMD module that parses the payment request behind a scanned or pasted recipient, for
+ * the Cold Wallet transaction form. The scheme picks the asset registry entry (config/assets.js,
+ * `uriSchemes`) and its address format picks the grammar:
+ *   - bitcoin: BIP-21   bitcoin:<address>?amount=<BTC>&label=…&message=…  (unknown req-* refused)
+ *   - evm:     EIP-681  ethereum:[pay-]<address>[@<chainId>]?value=<wei>
+ *                       ethereum:[pay-]<token>[@<chainId>]/transfer?address=<recipient>&uint256=<units>
+ *   - xrpl:    xrpl:<address>?amount=<XRP>&dt=<destination tag>  (also ripple:, ?to=<address>)
+ *
+ * parsePaymentUri(text, assets) -> null (not a URI of a registered asset: a plain address)
+ *   | { valid: true, asset, address, amount, chainId, token, destinationTag, label, message }
+ *   | { valid: false, asset, error } (a message for the user)
+ * `amount` is a decimal string in the asset's unit; for an ERC-20 transfer it is the token amount
+ * in base units and `token` is the token contract. Other fields are null when absent.
+ * No dependencies. Works in browsers and Node.
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PaymentUri = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  var MAX_DESTINATION_TAG = 4294967295;
+
+  function invalid(asset, error) {
+    return { valid: false, asset: asset, error: error };
+  }
+
+  function decode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // key=value pairs after the '?'; keys are case-insensitive, a repeated key is an error
+  function parseQuery(query) {
+    var params = {};
+    if (!query) return params;
+    var pairs = query.split('&');
+    for (var i = 0; i < pairs.length; i++) {
+      if (!pairs[i]) continue;
+      var eq = pairs[i].indexOf('=');
+      var key = decode(eq === -1 ? pairs[i] : pairs[i].slice(0, eq));
+      var value = decode(eq === -1 ? '' : pairs[i].slice(eq + 1));
+      if (key === null || value === null) throw new Error('Payment request has a malformed parameter');
+      key = key.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(params, key)) throw new Error('Payment request repeats the ' + key + ' parameter');
+      params[key] = value;
+    }
+    return params;
+  }
+
+  /**
+   * Check a decimal amount in an asset's unit
+   * @param {Object} asset registry entry
+   * @param {string} text e.g. "0.015"
+   * @returns {string} normalised decimal string
+   * @throws {Error} not a positive decimal, or more decimal places than the asset has
+   */
+  function decimalAmount(asset, text) {
+    var match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || !(match[1] + (match[2] || ''))) throw new Error('Payment request amount "' + text + '" is not a number');
+    var fraction = (match[2] || '').replace(/0+$/, '');
+    if (fraction.length > asset.decimals) {
+      throw new Error('Payment request amount has more than ' + asset.decimals + ' decimal places');
+    }
+    var whole = match[1].replace(/^0+(?=\d)/, '') || '0';
+    return fraction ? whole + '.' + fraction : whole;
+  }
+
+  /**
+   * EIP-681 number ("2.014e18", "1000000", "0x10") as an integer
+   * @param {string} text
+   * @returns {bigint}
+   * @throws {Error} malformed, negative or not a whole number of base units
+   */
+  function integerAmount(text) {
+    if (/^0x[0-9a-f]+$/i.test(text)) return BigInt(text);
+    var match = /^\+?(\d*)(?:\.(\d+))?(?:e\+?(\d+))?$/i.exec(text);
+    if (!match || !(match[1] + (match[2] || ''))) throw new Error('Payment request amount "' + text + '" is not a number');
+    var fraction = match[2] || '';
+    var exponent = Number(match[3] || 0);
+    if (fraction.length > exponent && /[1-9]/.test(fraction.slice(exponent))) {
+      throw new Error('Payment request amount "' + text + '" is not a whole number of base units');
+    }
+    var digits = (match[1] || '0') + (fraction + new Array(exponent + 1).join('0')).slice(0, exponent);
+    return BigInt(digits);
+  }
+
+  // Base units -> decimal string in the asset's unit (wei -> ETH)
+  function formatUnits(units, decimals) {
+    var text = units.toString().padStart(decimals + 1, '0');
+    var whole = text.slice(0, text.length - decimals);
+    var fraction = text.slice(text.length - decimals).replace(/0+$/, '');
+    return fraction ? whole + '.' + fraction : whole;
+  }
+
+  function chainIdOf(text) {
+    var chainId = /^0x/i.test(text) ? parseInt(text.slice(2), 16) : Number(text);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) throw new Error('Payment request has an invalid chain ID "' + text + '"');
+    return chainId;
+  }
+
+  function result(asset, fields) {
+    return {
+      valid: true,
+      asset: asset,
+      address: fields.address,
+      amount: fields.amount || null,
+      chainId: fields.chainId || null,
+      token: fields.token || null,
+      destinationTag: fields.destinationTag === undefined ? null : fields.destinationTag,
+      label: fields.label || null,
+      message: fields.message || null
+    };
+  }
+
+  // ---------------- bitcoin: BIP-21 ----------------
+  function parseBitcoin(asset, target, params) {
+    var unknownRequired = Object.keys(params).filter(function (k) { return /^req-/.test(k); });
+    if (unknownRequired.length) {
+      throw new Error('Payment request needs ' + unknownRequired.join(', ') + ', which this wallet does not support');
+    }
+    return result(asset, {
+      address: target,
+      amount: params.amount !== undefined ? decimalAmount(asset, params.amount) : null,
+      label: params.label,
+      message: params.message
+    });
+  }
+
+  // ---------------- evm: EIP-681 ----------------
+  function parseEvm(asset, target, params) {
+    var match = /^(?:pay-)?([^@/]+)(?:@([^/]+))?(?:\/(.*))?$/i.exec(target);
+    if (!match) throw new Error('Payment request has no recipient');
+    var to = match[1];
+    if (!/^0x/i.test(to)) throw new Error('Payment request names "' + to + '": ENS names cannot be resolved offline, use a 0x address');
+    var chainId = match[2] !== undefined ? chainIdOf(match[2]) : null;
+    var fn = match[3];
+
+    if (fn === undefined) {
+      return result(asset, {
+        address: to,
+        chainId: chainId,
+        amount: params.value !== undefined ? formatUnits(integerAmount(params.value), asset.decimals) : null
+      });
+    }
+    if (fn !== 'transfer') throw new Error('Payment request calls ' + fn + '; only payments and ERC-20 transfers are supported');
+    if (!params.address) throw new Error('ERC-20 transfer request has no recipient address');
+    if (params.value !== undefined && integerAmount(params.value) !== BigInt(0)) {
+      throw new Error('ERC-20 transfer request also sends ' + asset.symbol);
+    }
+    return result(asset, {
+      address: params.address,
+      chainId: chainId,
+      token: to,
+      amount: params.uint256 !== undefined ? integerAmount(params.uint256).toString() : null
+    });
+  }
+
+  // ---------------- xrpl ----------------
+  function parseXrpl(asset, target, params) {
+    var tagText = params.dt !== undefined ? params.dt : params.tag;
+    var tag = null;
+    if (tagText !== undefined) {
+      tag = /^\d{1,10}$/.test(tagText) ? Number(tagText) : NaN;
+      if (!(tag <= MAX_DESTINATION_TAG)) throw new Error('Payment request destination tag "' + tagText + '" is not a number from 0 to ' + MAX_DESTINATION_TAG);
+    }
+    return result(asset, {
+      address: target || params.to,
+      amount: params.amount !== undefined ? decimalAmount(asset, params.amount) : null,
+      destinationTag: tag,
+      label: params.label,
+      message: params.message
+    });
+  }
+
+  // ---------------- API ----------------
+  var FORMATS = { bitcoin: parseBitcoin, evm: parseEvm, xrpl: parseXrpl };
+
+  /**
+   * @param {string} text scanned or pasted recipient
+   * @param {Object[]} assets asset registry entries ({ symbol, decimals, uriSchemes, address: { format } })
+   * @returns {Object|null} see the header; null when the text is not a payment URI of a registered asset
+   */
+  function parsePaymentUri(text, assets) {
+    var uri = String(text === undefined || text === null ? '' : text).trim();
+    var match = /^([a-z][a-z0-9+.-]*):(.*)$/i.exec(uri);
+    if (!match) return null;
+    var scheme = match[1].toLowerCase();
+    var asset = (assets || []).filter(function (a) { return a.uriSchemes.indexOf(scheme) !== -1; })[0];
+    if (!asset) return null;
+    var parser = FORMATS[asset.address.format];
+    if (!parser) return invalid(asset, 'Unsupported asset ' + asset.symbol);
+
+    var rest = match[2].replace(/^\/\//, '');
+    var q = rest.indexOf('?');
+    try {
+      var target = decode(q === -1 ? rest : rest.slice(0, q));
+      if (target === null) throw new Error('Payment request has a malformed address');
+      var parsed = parser(asset, target, parseQuery(q === -1 ? '' : rest.slice(q + 1)));
+      if (!parsed.address) throw new Error('Payment request has no recipient');
+      return parsed;
+    } catch (err) {
+      return invalid(asset, err.message);
+    }
+  }
+
+  return {
+    parsePaymentUri: parsePaymentUri,
+    formatUnits: formatUnits
+  };
+});
@@ -0,0 +1,163 @@
+/*
+ * tssorchestrator.js
+ * One-file UMD bundle that exposes:
+ *   - TssOrchestratorClient: thin REST client for the server's TSS proxy (Party, Activation, Signature)
+ *   - TssApiError: error raised for HTTP failures and error responses
+ *
+ * The browser never calls the orchestrator directly: requests go to the standalone server's
+ * /api/tss routes (window.CW_ENV.TSS_PROXY_URL), which forward to TSS_ORCHESTRATOR_API_URL and
+ * answer { success: true, data } or { success: false, error, code }.
+ * Works in browsers and Node (inject fetch via opts.fetchImpl).
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var api = factory();
+    root.TssOrchestratorClient = api.TssOrchestratorClient;
+    root.TssApiError = api.TssApiError;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ---------------- TssApiError ----------------
+  function TssApiError(message, status, code, data) {
+    var err = new Error(message);
+    Object.setPrototypeOf(err, TssApiError.prototype);
+    err.name = 'TssApiError';
+    err.status = status || 0;
+    err.code = code || 'UNKNOWN';
+    err.data = data || null;
+    return err;
+  }
+  TssApiError.prototype = Object.create(Error.prototype);
+  TssApiError.prototype.constructor = TssApiError;
+
+  Object.defineProperty(TssApiError.prototype, 'isWrongPin', {
+    get: function () { return this.code === 'WRONG_PIN'; }
+  });
+
+  Object.defineProperty(TssApiError.prototype, 'isCancelled', {
+    get: function () { return this.code === 'CANCELLED'; }
+  });
+
+  // The server stopped the call (or refused it) because a network appeared
+  Object.defineProperty(TssApiError.prototype, 'isNetworkDetected', {
+    get: function () { return this.code === 'NETWORK_DETECTED'; }
+  });
+
+  // ---------------- TssOrchestratorClient ----------------
+  /**
+   * @param {string} baseUrl proxy root, e.g. /api/tss
+   * @param {{ fetchImpl?: typeof fetch, headers?: Object, signal?: AbortSignal }} [opts]
+   *   signal: aborts every request of this client (the server cancels the orchestrator call)
+   */
+  function TssOrchestratorClient(baseUrl, opts) {
+    opts = opts || {};
+    if (!baseUrl) throw new Error('TssOrchestratorClient requires a base URL');
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this._fetch = opts.fetchImpl || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    this._headers = Object.assign({ 'Content-Type': 'application/json' }, opts.headers || {});
+    this._signal = opts.signal || null;
+  }
+
+  /**
+   * Low-level request; resolves with the whole response body ({ success, data, ... }), rejects with TssApiError
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [body]
+   */
+  TssOrchestratorClient.prototype._send = async function (method, path, body) {
+    var res;
+    try {
+      res = await this._fetch(this.baseUrl + path, {
+        method: method,
+        headers: this._headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: this._signal || undefined
+      });
+    } catch (e) {
+      if (e && e.name === 'AbortError') throw new TssApiError('Cancelled', 0, 'CANCELLED', null);
+      throw new TssApiError('Server unreachable (' + (e && e.message ? e.message : e) + ')', 0, 'NETWORK_ERROR', null);
+    }
+
+    var body = await res.json().catch(function () { return {}; });
+    if (this._signal && this._signal.aborted) throw new TssApiError('Cancelled', 0, 'CANCELLED', null);
+    if (!res.ok || body.success === false) {
+      throw new TssApiError(body.error || ('API Error ' + res.status), res.status, body.code, body);
+    }
+    return body;
+  };
+
+  /** Like _send; resolves with the response `data` */
+  TssOrchestratorClient.prototype.request = async function (method, path, body) {
+    return (await this._send(method, path, body)).data;
+  };
+
+  // ---- Party ----
+  TssOrchestratorClient.prototype.listParties = async function () {
+    return (await this.request('GET', '/party')) || [];
+  };
+
+  /** @returns {Promise<string>} party ID */
+  TssOrchestratorClient.prototype.createParty = async function (params) {
+    var result = await this.request('POST', '/party', params);
+    return Array.isArray(result) ? result[0] : result;
+  };
+
+  /** @returns {Promise<Array>} created party members */
+  TssOrchestratorClient.prototype.addMembers = async function (partyID, members) {
+    return (await this.request('POST', '/party/members', { partyID: partyID, members: members })) || [];
+  };
+
+  /**
+   * Check a member PIN on the tapped/inserted Toughkey.
+   * A wrong PIN rejects with err.isWrongPin === true.
+   * @returns {Promise<Object>} orchestrator result (carries the device serial)
+   */
+  TssOrchestratorClient.prototype.authorize = function (params) {
+    return this.request('POST', '/party/authorize', params);
+  };
+
+  TssOrchestratorClient.prototype.saveShare = function (params) {
+    return this.request('POST', '/party/save', params);
+  };
+
+  /**
+   * Discard a cancelled ceremony's party on the orchestrator (its activation too, if started)
+   * @returns {Promise<Object>} { partyID, activationCancelled }
+   */
+  TssOrchestratorClient.prototype.discardParty = function (partyID) {
+    return this.request('POST', '/party/discard', { partyID: partyID });
+  };
+
+  // ---- Activation ----
+  TssOrchestratorClient.prototype.startActivation = function (partyID) {
+    return this.request('POST', '/activation/start', { partyID: partyID });
+  };
+
+  /** @returns {Promise<Object>} activation result: address (derived from the group key by the server) and groupPublicKey */
+  TssOrchestratorClient.prototype.endActivation = async function (partyID, asset, network) {
+    return (await this.request('POST', '/activation/end', { partyID: partyID, asset: asset, network: network })) || {};
+  };
+
+  // ---- Signature ----
+  /** @returns {Promise<string>} signing session ID */
+  TssOrchestratorClient.prototype.createSignature = function (partyGUID, messageToSign) {
+    return this.request('POST', '/signature', { partyGUID: partyGUID, messageToSign: messageToSign });
+  };
+
+  /**
+   * @returns {Promise<{ result: *, deviceUnverified: string|null }>} the orchestrator's signature result
+   *   for this member, and the proxy's warning when the signing device could not be verified
+   */
+  TssOrchestratorClient.prototype.sign = async function (sessionID, partyMemberID, pin) {
+    var body = await this._send('POST', '/signature/sign', { sessionID: sessionID, partyMemberID: partyMemberID, pin: pin });
+    return { result: body.data, deviceUnverified: body.deviceUnverified || null };
+  };
+
+  // --------------- Public API ---------------
+  return { TssOrchestratorClient: TssOrchestratorClient, TssApiError: TssApiError };
+});
@@ -0,0 +1,418 @@
+/*
+ * ur.js
+ * One-file UMD bundle for Uniform Resources (BC-UR, https://github.com/BlockchainCommons/Research):
+ *   - UREncoder: payload -> "ur:<type>/..." QR frames; large payloads become an endless
+ *     fountain-coded sequence ("ur:<type>/<seq>-<count>/...") shown as an animated QR
+ *   - URDecoder: reassembles scanned frames in any order, with progress
+ *   - URError: malformed or inconsistent UR
+ *
+ * Payloads are CBOR byte strings: `bytes` (any data) and `crypto-psbt` (BIP-174 PSBT).
+ * Bytewords (minimal style), CRC-32, Xoshiro256** and the fountain code follow the reference
+ * implementation, so frames interoperate with other UR wallets. SHA-256 and CRC-32 come from
+ * hashes.js (loaded first). Works in browsers and Node.
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./hashes'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./hashes'));
+  } else {
+    var api = factory(root.Hashes);
+    root.UREncoder = api.UREncoder;
+    root.URDecoder = api.URDecoder;
+    root.URError = api.URError;
+  }
+})(typeof self !== 'undefined' ? self : this, function (Hashes) {
+  'use strict';
+
+  // SHA-256 seeds the fountain PRNG, CRC-32 checksums bytewords and fragments (hashes.js)
+  var sha256 = Hashes.sha256;
+  var crc32 = Hashes.crc32;
+
+  // ---------------- URError ----------------
+  function URError(message) {
+    var err = new Error(message);
+    Object.setPrototypeOf(err, URError.prototype);
+    err.name = 'URError';
+    return err;
+  }
+  URError.prototype = Object.create(Error.prototype);
+  URError.prototype.constructor = URError;
+
+  // ---------------- Byte helpers ----------------
+  function concatBytes(arrays) {
+    var length = arrays.reduce(function (sum, a) { return sum + a.length; }, 0);
+    var out = new Uint8Array(length);
+    var offset = 0;
+    arrays.forEach(function (a) { out.set(a, offset); offset += a.length; });
+    return out;
+  }
+
+  function uint32Bytes(n) {
+    return Uint8Array.of(n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff);
+  }
+
+  function xorInto(target, source) {
+    for (var i = 0; i < target.length; i++) target[i] ^= source[i];
+  }
+
+  // ---------------- Bytewords (minimal: first and last letter of each word) ----------------
+  var BYTEWORDS = 'ableacidalsoapexaquaarchatomauntawayaxisbackbaldbarnbeltbetabiasbluebodybragbrewbulbbuzzcalmcashcatschefcityclawcodecolacookcostcruxcurlcuspcyandarkdatadaysdelidicedietdoordowndrawdropdrumdulldutyeacheasyechoedgeepicevenexamexiteyesfactfairfernfigsfilmfishfizzflapflewfluxfoxyfreefrogfuelfundgalagamegeargemsgiftgirlglowgoodgraygrimgurugushgyrohalfhanghardhawkheathelphighhillholyhopehornhutsicedideaidleinchinkyintoirisironitemjadejazzjoinjoltjowljudojugsjumpjunkjurykeepkenokeptkeyskickkilnkingkitekiwiknoblamblavalazyleaflegsliarlimplionlistlogoloudloveluaulucklungmainmanymathmazememomenumeowmildmintmissmonknailnavyneednewsnextnoonnotenumbobeyoboeomitonyxopenovalowlspaidpartpeckplaypluspoempoolposepuffpumapurrquadquizraceramprealredorichroadrockroofrubyruinrunsrustsafesagascarsetssilkskewslotsoapsolosongstubsurfswantacotasktaxitenttiedtimetinytoiltombtoystriptunatwinuglyundouniturgeuservastveryvetovialvibeviewvisavoidvowswallwandwarmwaspwavewaxywebswhatwhenwhizwolfworkyankyawnyellyogayurtzapszerozestzinczonezoom';
+  var MINIMAL_WORDS = [];
+  var MINIMAL_LOOKUP = {};
+  for (var wi = 0; wi < 256; wi++) {
+    var word = BYTEWORDS.charAt(wi * 4) + BYTEWORDS.charAt(wi * 4 + 3);
+    MINIMAL_WORDS.push(word);
+    MINIMAL_LOOKUP[word] = wi;
+  }
+
+  function bytewordsEncode(bytes) {
+    var withCrc = concatBytes([bytes, uint32Bytes(crc32(bytes))]);
+    var out = '';
+    for (var i = 0; i < withCrc.length; i++) out += MINIMAL_WORDS[withCrc[i]];
+    return out;
+  }
+
+  function bytewordsDecode(text) {
+    if (text.length % 2 !== 0 || text.length < 10) throw URError('Invalid bytewords length');
+    var bytes = new Uint8Array(text.length / 2);
+    for (var i = 0; i < bytes.length; i++) {
+      var value = MINIMAL_LOOKUP[text.substr(i * 2, 2)];
+      if (value === undefined) throw URError('Invalid byteword "' + text.substr(i * 2, 2) + '"');
+      bytes[i] = value;
+    }
+    var body = bytes.slice(0, bytes.length - 4);
+    var checksum = new DataView(bytes.buffer).getUint32(bytes.length - 4);
+    if (crc32(body) !== checksum) throw URError('Bytewords checksum mismatch');
+    return body;
+  }
+
+  // ---------------- CBOR (unsigned integers, byte strings, arrays) ----------------
+  function cborHead(major, n) {
+    if (n < 24) return Uint8Array.of((major << 5) | n);
+    if (n < 0x100) return Uint8Array.of((major << 5) | 24, n);
+    if (n < 0x10000) return Uint8Array.of((major << 5) | 25, n >> 8, n & 0xff);
+    return concatBytes([Uint8Array.of((major << 5) | 26), uint32Bytes(n)]);
+  }
+
+  function cborEncode(value) {
+    if (typeof value === 'number') return cborHead(0, value);
+    if (value instanceof Uint8Array) return concatBytes([cborHead(2, value.length), value]);
+    if (Array.isArray(value)) return concatBytes([cborHead(4, value.length)].concat(value.map(cborEncode)));
+    throw URError('Unsupported CBOR value');
+  }
+
+  function cborDecode(bytes) {
+    var pos = 0;
+    function head() {
+      if (pos >= bytes.length) throw URError('Truncated CBOR');
+      var initial = bytes[pos++];
+      var info = initial & 0x1f;
+      var n = info;
+      if (info === 24) n = bytes[pos++];
+      else if (info === 25) { n = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; }
+      else if (info === 26) { n = new DataView(bytes.buffer, bytes.byteOffset + pos, 4).getUint32(0); pos += 4; }
+      else if (info > 26) throw URError('Unsupported CBOR length');
+      return { major: initial >> 5, n: n };
+    }
+    function item() {
+      var h = head();
+      if (h.major === 0) return h.n;
+      if (h.major === 2) {
+        if (pos + h.n > bytes.length) throw URError('Truncated CBOR');
+        var out = bytes.slice(pos, pos + h.n);
+        pos += h.n;
+        return out;
+      }
+      if (h.major === 4) {
+        var list = [];
+        for (var i = 0; i < h.n; i++) list.push(item());
+        return list;
+      }
+      throw URError('Unsupported CBOR major type ' + h.major);
+    }
+    var value = item();
+    if (pos !== bytes.length) throw URError('Trailing bytes after CBOR');
+    return value;
+  }
+
+  // ---------------- Xoshiro256** seeded from SHA-256 ----------------
+  var MASK64 = (1n << 64n) - 1n;
+
+  function Xoshiro(seed) {
+    var digest = sha256(seed);
+    this.s = [0, 1, 2, 3].map(function (i) {
+      var v = 0n;
+      for (var n = 0; n < 8; n++) v = (v << 8n) | BigInt(digest[i * 8 + n]);
+      return v;
+    });
+  }
+
+  function rotl64(x, k) {
+    return ((x << BigInt(k)) & MASK64) | (x >> BigInt(64 - k));
+  }
+
+  Xoshiro.prototype.next = function () {
+    var s = this.s;
+    var result = (rotl64((s[1] * 5n) & MASK64, 7) * 9n) & MASK64;
+    var t = (s[1] << 17n) & MASK64;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl64(s[3], 45);
+    return result;
+  };
+
+  Xoshiro.prototype.nextDouble = function () {
+    return Number(this.next()) / 18446744073709551616;
+  };
+
+  Xoshiro.prototype.nextInt = function (low, high) {
+    return Math.floor(this.nextDouble() * (high - low + 1) + low);
+  };
+
+  // ---------------- Fountain code ----------------
+  // Degree of a mixed part: P(d) ∝ 1/d, drawn with Vose's alias method
+  function chooseDegree(seqLength, rng) {
+    var n = seqLength;
+    var sum = 0;
+    for (var d = 1; d <= n; d++) sum += 1 / d;
+    var scaled = [];
+    for (d = 1; d <= n; d++) scaled.push((1 / d) * n / sum);
+
+    var prob = new Array(n);
+    var alias = new Array(n);
+    var small = [];
+    var large = [];
+    for (var i = n - 1; i >= 0; i--) (scaled[i] < 1 ? small : large).push(i);
+    while (small.length && large.length) {
+      var less = small.pop();
+      var more = large.pop();
+      prob[less] = scaled[less];
+      alias[less] = more;
+      scaled[more] = scaled[more] + scaled[less] - 1;
+      (scaled[more] < 1 ? small : large).push(more);
+    }
+    while (large.length) prob[large.pop()] = 1;
+    while (small.length) prob[small.pop()] = 1;
+
+    var column = Math.floor(rng.nextDouble() * n);
+    return (rng.nextDouble() < prob[column] ? column : alias[column]) + 1;
+  }
+
+  // Fragment indexes XORed into part `seqNum`; the first seqLength parts are the plain fragments
+  function chooseFragments(seqNum, seqLength, checksum) {
+    if (seqNum <= seqLength) return [seqNum - 1];
+    var rng = new Xoshiro(concatBytes([uint32Bytes(seqNum), uint32Bytes(checksum)]));
+    var degree = chooseDegree(seqLength, rng);
+    var remaining = [];
+    for (var i = 0; i < seqLength; i++) remaining.push(i);
+    var shuffled = [];
+    while (remaining.length) shuffled.push(remaining.splice(rng.nextInt(0, remaining.length - 1), 1)[0]);
+    return shuffled.slice(0, degree);
+  }
+
+  function fragmentLength(messageLength, minLength, maxLength) {
+    var maxCount = Math.ceil(messageLength / minLength);
+    var length = messageLength;
+    for (var count = 1; count <= maxCount; count++) {
+      length = Math.ceil(messageLength / count);
+      if (length <= maxLength) break;
+    }
+    return length;
+  }
+
+  function isUrType(type) {
+    return /^[a-z0-9-]+$/.test(type);
+  }
+
+  // ---------------- UREncoder ----------------
+  /**
+   * @param {string} type UR type, e.g. 'crypto-psbt' or 'bytes'
+   * @param {Uint8Array} payload raw bytes (wrapped in a CBOR byte string)
+   * @param {{ maxFragmentLength?: number, minFragmentLength?: number }} [opts]
+   */
+  function UREncoder(type, payload, opts) {
+    opts = opts || {};
+    if (!isUrType(type)) throw URError('Invalid UR type "' + type + '"');
+    if (!payload || !ArrayBuffer.isView(payload) || payload.byteLength === 0) throw URError('UR payload must be non-empty bytes');
+    payload = new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+    this.type = type;
+    this.cbor = cborEncode(payload);
+    this.checksum = crc32(this.cbor);
+    this.seqNum = 0;
+
+    var length = fragmentLength(this.cbor.length, opts.minFragmentLength || 10, opts.maxFragmentLength || 200);
+    this.fragments = [];
+    for (var off = 0; off < this.cbor.length; off += length) {
+      var fragment = new Uint8Array(length); // the last one is zero-padded
+      fragment.set(this.cbor.slice(off, off + length));
+      this.fragments.push(fragment);
+    }
+  }
+
+  Object.defineProperty(UREncoder.prototype, 'isSinglePart', {
+    get: function () { return this.fragments.length === 1; }
+  });
+
+  /** Number of plain fragments (a decoder needs at least this many frames) */
+  Object.defineProperty(UREncoder.prototype, 'fragmentsLength', {
+    get: function () { return this.fragments.length; }
+  });
+
+  /** @returns {string} next QR frame; past fragmentsLength, frames are fountain mixes */
+  UREncoder.prototype.nextPart = function () {
+    if (this.isSinglePart) return 'ur:' + this.type + '/' + bytewordsEncode(this.cbor);
+
+    this.seqNum = (this.seqNum + 1) >>> 0;
+    var count = this.fragments.length;
+    var mixed = new Uint8Array(this.fragments[0].length);
+    var fragments = this.fragments;
+    chooseFragments(this.seqNum, count, this.checksum).forEach(function (i) { xorInto(mixed, fragments[i]); });
+
+    var part = cborEncode([this.seqNum, count, this.cbor.length, this.checksum, mixed]);
+    return 'ur:' + this.type + '/' + this.seqNum + '-' + count + '/' + bytewordsEncode(part);
+  };
+
+  // ---------------- URDecoder ----------------
+  function URDecoder() {
+    this.type = null;
+    this.result = null;
+    this.error = null;
+    this.expected = null; // { count, messageLength, checksum, fragmentLength }
+    this.simple = {}; // fragment index -> bytes
+    this.mixed = []; // [{ indexes, data }] not yet reduced to one fragment
+    this.received = 0;
+  }
+
+  /** Whether a scanned string is a UR frame */
+  URDecoder.isUR = function (text) {
+    return /^ur:/i.test(String(text || '').trim());
+  };
+
+  /**
+   * Feed one scanned frame; frames may arrive in any order and repeat
+   * @param {string} text
+   * @returns {boolean} whether the frame was accepted
+   * @throws {URError} malformed frame
+   */
+  URDecoder.prototype.receivePart = function (text) {
+    if (this.result) return false;
+    var lower = String(text || '').trim().toLowerCase();
+    if (lower.indexOf('ur:') !== 0) throw URError('Not a UR');
+    var components = lower.slice(3).split('/');
+    var type = components[0];
+    if (!isUrType(type) || components.length < 2 || components.length > 3) throw URError('Malformed UR');
+    if (this.type && this.type !== type) return false;
+    this.type = type;
+
+    if (components.length === 2) {
+      var single = cborDecode(bytewordsDecode(components[1]));
+      if (!(single instanceof Uint8Array)) throw URError('UR payload is not a byte string');
+      this.result = single;
+      return true;
+    }
+
+    var seq = /^(\d+)-(\d+)$/.exec(components[1]);
+    if (!seq) throw URError('Malformed UR sequence "' + components[1] + '"');
+    var fields = cborDecode(bytewordsDecode(components[2]));
+    if (!Array.isArray(fields) || fields.length !== 5 || !(fields[4] instanceof Uint8Array)) throw URError('Malformed UR part');
+    var seqNum = fields[0], count = fields[1], messageLength = fields[2], checksum = fields[3], data = fields[4];
+    if (seqNum !== Number(seq[1]) || count !== Number(seq[2]) || count < 1) return false;
+
+    if (!this.expected) {
+      this.expected = { count: count, messageLength: messageLength, checksum: checksum, fragmentLength: data.length };
+    } else if (this.expected.count !== count || this.expected.messageLength !== messageLength ||
+        this.expected.checksum !== checksum || this.expected.fragmentLength !== data.length) {
+      return false; // a frame of another payload
+    }
+
+    this.received += 1;
+    this._absorb({ indexes: chooseFragments(seqNum, count, checksum), data: data.slice() });
+    return true;
+  };
+
+  // Peel known fragments off mixed parts until nothing more reduces (peeling decoder)
+  URDecoder.prototype._absorb = function (part) {
+    var queue = [part];
+    while (queue.length && !this.result) {
+      var next = this._reduce(queue.shift());
+      if (next.indexes.length === 0) continue;
+      if (next.indexes.length > 1) {
+        var key = next.indexes.slice().sort().join(',');
+        if (!this.mixed.some(function (m) { return m.key === key; })) this.mixed.push({ key: key, indexes: next.indexes, data: next.data });
+        continue;
+      }
+
+      var index = next.indexes[0];
+      if (this.simple[index]) continue;
+      this.simple[index] = next.data;
+      if (Object.keys(this.simple).length === this.expected.count) {
+        this._finish();
+        return;
+      }
+
+      // Fragments that now reduce to a single index go back through the queue
+      var still = [];
+      this.mixed.forEach(function (m) {
+        if (m.indexes.indexOf(index) === -1) return still.push(m);
+        queue.push({ indexes: m.indexes, data: m.data });
+      });
+      this.mixed = still;
+    }
+  };
+
+  URDecoder.prototype._reduce = function (part) {
+    var simple = this.simple;
+    var indexes = [];
+    var data = part.data.slice();
+    part.indexes.forEach(function (i) {
+      if (simple[i]) xorInto(data, simple[i]);
+      else indexes.push(i);
+    });
+    return { indexes: indexes, data: data };
+  };
+
+  URDecoder.prototype._finish = function () {
+    var parts = [];
+    for (var i = 0; i < this.expected.count; i++) parts.push(this.simple[i]);
+    var message = concatBytes(parts).slice(0, this.expected.messageLength);
+    if (crc32(message) !== this.expected.checksum) {
+      this.error = URError('UR checksum mismatch');
+      return;
+    }
+    this.result = cborDecode(message);
+    if (!(this.result instanceof Uint8Array)) {
+      this.result = null;
+      this.error = URError('UR payload is not a byte string');
+    }
+  };
+
+  URDecoder.prototype.isComplete = function () {
+    return !!this.result;
+  };
+
+  /** Fraction of fragments recovered (0..1) */
+  URDecoder.prototype.progress = function () {
+    if (this.result) return 1;
+    if (!this.expected) return 0;
+    return Object.keys(this.simple).length / this.expected.count;
+  };
+
+  /** Expected fragment count once a multi-part frame was seen, else null */
+  URDecoder.prototype.expectedPartCount = function () {
+    return this.expected ? this.expected.count : null;
+  };
+
+  /** @returns {{ type: string, payload: Uint8Array }} decoded UR (throws until complete) */
+  URDecoder.prototype.resultUR = function () {
+    if (this.error) throw this.error;
+    if (!this.result) throw URError('UR is not complete');
+    return { type: this.type, payload: this.result };
+  };
+
+  // --------------- Public API ---------------
+  return { UREncoder: UREncoder, URDecoder: URDecoder, URError: URError };
+});